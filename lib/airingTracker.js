@@ -0,0 +1,134 @@
+import path from "path";
+import { airingSchedules } from "./schedule.js";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+
+/* ===============================
+   AIRING TRACKER
+   Periodically asks AniList which episodes of the tracked anime aired
+   since the previous check and reports each one once. State lives in
+   airing.json:
+     { version, lastCheckedAt, notified: { <airingScheduleId>: airingAt } }
+================================ */
+
+const POLL_INTERVAL = 1000 * 60 * (Number(process.env.AIRING_POLL_INTERVAL ?? 10));
+const NOTIFIED_RETENTION = 1000 * 60 * 60 * 24 * 7;
+
+const doc = openJsonDocument(
+  process.env.AIRING_FILE || path.join(DATA_DIR, "airing.json"),
+  { version: 1, lastCheckedAt: null, notified: {} }
+);
+
+const sources = [];
+const listeners = [];
+
+const stats = {
+  checks: 0,
+  aired: 0,
+  failures: 0,
+  lastCheckAt: null,
+  running: false
+};
+
+/**
+ * Adds `fn()`, returning AniList anime ids, to the set of anime checked.
+ */
+export function trackAnimeFrom(fn) {
+  sources.push(fn);
+}
+
+/**
+ * Registers `fn(media, episodes)`, called per anime with
+ * `{ mediaId, title, episodes }` and `[{ episode, airingAt }]`.
+ */
+export function onEpisodesAired(fn) {
+  listeners.push(fn);
+}
+
+function trackedIds() {
+  const ids = new Set();
+  for (const source of sources) {
+    for (const id of source()) ids.add(id);
+  }
+  return [...ids];
+}
+
+/**
+ * Reports episodes that aired between the last check and now. The first
+ * check only looks back one interval instead of replaying old episodes.
+ */
+export async function checkAiring({ now = Date.now() } = {}) {
+  if (stats.running) return 0;
+  stats.running = true;
+
+  try {
+    const ids = trackedIds();
+    const from = Date.parse(doc.data.lastCheckedAt) || now - POLL_INTERVAL;
+    const aired = await airingSchedules(ids, { from: from - 1000, to: now + 1000 });
+
+    // Only marked once every query succeeded, so a failed check is retried in full
+    const byMedia = new Map();
+
+    for (const schedule of aired) {
+      if (doc.data.notified[schedule.id] || schedule.airingAt * 1000 > now) continue;
+      doc.data.notified[schedule.id] = schedule.airingAt;
+
+      const media = byMedia.get(schedule.mediaId) || {
+        media: { mediaId: schedule.mediaId, title: schedule.media?.title, episodes: schedule.media?.episodes ?? null },
+        episodes: []
+      };
+      media.episodes.push({ episode: schedule.episode, airingAt: new Date(schedule.airingAt * 1000).toISOString() });
+      byMedia.set(schedule.mediaId, media);
+    }
+
+    for (const [id, airingAt] of Object.entries(doc.data.notified)) {
+      if (airingAt * 1000 < now - NOTIFIED_RETENTION) delete doc.data.notified[id];
+    }
+
+    doc.data.lastCheckedAt = new Date(now).toISOString();
+    doc.save();
+
+    for (const { media, episodes } of byMedia.values()) {
+      stats.aired += episodes.length;
+      for (const fn of listeners) {
+        try {
+          fn(media, episodes);
+        } catch (err) {
+          console.error("Airing listener failed:", err.message);
+        }
+      }
+    }
+
+    return byMedia.size;
+
+  } catch (err) {
+    stats.failures++;
+    throw err;
+
+  } finally {
+    stats.checks++;
+    stats.lastCheckAt = new Date().toISOString();
+    stats.running = false;
+  }
+}
+
+/**
+ * Starts the background check. AIRING_POLL_INTERVAL is in minutes;
+ * 0 turns it off.
+ */
+export function startAiringPolling() {
+  if (!(POLL_INTERVAL > 0)) return;
+
+  const tick = () => checkAiring().catch(err =>
+    console.error("Airing check error:", err.message)
+  );
+
+  setInterval(tick, POLL_INTERVAL).unref();
+}
+
+export function getAiringStats() {
+  return {
+    ...stats,
+    tracked: trackedIds().length,
+    intervalMinutes: POLL_INTERVAL / 60000
+  };
+}
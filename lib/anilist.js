@@ -0,0 +1,235 @@
+import axios from "axios";
+
+/* ===============================
+   ANILIST GRAPHQL CLIENT
+   Shared by every route that talks to AniList so that
+   rate limits, retries and de-duplication live in one place.
+================================ */
+
+const ANILIST_URL = process.env.ANILIST_URL || "https://graphql.anilist.co";
+
+const DEFAULT_TIMEOUT = 10000;
+// Whole-call budget: queueing, rate limit waits and retries included
+const DEFAULT_DEADLINE = 1000 * 30;
+const MAX_CONCURRENT = 4;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 1000; // 1 second, doubled on every retry
+const MAX_BACKOFF = 1000 * 30;
+const WINDOW = 1000 * 60; // AniList budgets requests per minute
+
+// AniList advertises 90/min but has been running degraded at 30/min.
+// The real value is picked up from X-RateLimit-Limit on the first response.
+let requestLimit = parseInt(process.env.ANILIST_RATE_LIMIT) || 30;
+let remaining = null;
+let blockedUntil = 0;
+
+const sentAt = [];
+const queue = [];
+const inFlight = new Map();
+let active = 0;
+let pumpTimer = null;
+
+const stats = {
+  requests: 0,
+  coalesced: 0,
+  retries: 0,
+  rateLimited: 0,
+  failures: 0,
+  timeouts: 0
+};
+
+export class AniListError extends Error {
+  constructor(message, { status = null, errors = null } = {}) {
+    super(message);
+    this.name = "AniListError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/* ===============================
+   HELPERS
+================================ */
+
+function deadlineError() {
+  stats.timeouts++;
+  return new AniListError("AniList request timed out", { status: null });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return err.code !== "ERR_CANCELED"; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt, err) {
+  const retryAfter = parseRetryAfter(err.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_BACKOFF);
+  const jitter = Math.random() * 250;
+  return Math.min(BASE_BACKOFF * 2 ** attempt + jitter, MAX_BACKOFF);
+}
+
+function readRateLimitHeaders(headers = {}) {
+  const limit = parseInt(headers["x-ratelimit-limit"]);
+  const left = parseInt(headers["x-ratelimit-remaining"]);
+  const reset = parseInt(headers["x-ratelimit-reset"]);
+
+  if (!isNaN(limit) && limit > 0) requestLimit = limit;
+  if (!isNaN(left)) remaining = left;
+
+  if (remaining === 0 && !isNaN(reset)) {
+    blockedUntil = Math.max(blockedUntil, reset * 1000);
+  }
+}
+
+/* ===============================
+   RATE LIMITED QUEUE
+================================ */
+
+function nextSlot() {
+  const now = Date.now();
+
+  while (sentAt.length && now - sentAt[0] >= WINDOW) {
+    sentAt.shift();
+  }
+
+  if (blockedUntil > now) return blockedUntil - now;
+  if (sentAt.length >= requestLimit) return sentAt[0] + WINDOW - now;
+  return 0;
+}
+
+function pump() {
+  pumpTimer = null;
+
+  while (queue.length && active < MAX_CONCURRENT) {
+    const wait = nextSlot();
+    if (wait > 0) {
+      pumpTimer = setTimeout(pump, wait);
+      return;
+    }
+
+    const job = queue.shift();
+    clearTimeout(job.expiry);
+    sentAt.push(Date.now());
+    active++;
+
+    job.run()
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        if (!pumpTimer) pump();
+      });
+  }
+}
+
+/**
+ * Queues `run` for the next free slot. A job still waiting at `deadline`
+ * (e.g. behind a 429 block) leaves the queue and rejects.
+ */
+function schedule(run, deadline) {
+  return new Promise((resolve, reject) => {
+    const job = { run, resolve, reject };
+
+    job.expiry = setTimeout(() => {
+      queue.splice(queue.indexOf(job), 1);
+      reject(deadlineError());
+    }, deadline - Date.now());
+
+    queue.push(job);
+    if (!pumpTimer) pump();
+  });
+}
+
+/* ===============================
+   REQUEST
+================================ */
+
+async function send(query, variables, timeout, deadline) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      stats.requests++;
+      const response = await schedule(() =>
+        axios.post(ANILIST_URL, { query, variables }, {
+          timeout: Math.max(Math.min(timeout, deadline - Date.now()), 1)
+        }),
+        deadline
+      );
+      readRateLimitHeaders(response.headers);
+      return response.data;
+
+    } catch (err) {
+      if (err instanceof AniListError) throw err;
+
+      readRateLimitHeaders(err.response?.headers);
+
+      // AniList answers an unknown Media with a 404 that still carries `data`
+      if (err.response?.status === 404 && err.response.data?.data) {
+        return err.response.data;
+      }
+
+      if (err.response?.status === 429) {
+        stats.rateLimited++;
+        const retryAfter = parseRetryAfter(err.response.headers?.["retry-after"]);
+        blockedUntil = Math.max(blockedUntil, Date.now() + (retryAfter ?? WINDOW));
+      }
+
+      // A retry that cannot start before the deadline fails now
+      const delay = backoffDelay(attempt, err);
+
+      if (attempt >= MAX_RETRIES || !isRetryable(err) || Date.now() + delay >= deadline) {
+        stats.failures++;
+        throw new AniListError(
+          err.response?.data?.errors?.[0]?.message || err.message,
+          { status: err.response?.status ?? null, errors: err.response?.data?.errors ?? null }
+        );
+      }
+
+      stats.retries++;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Runs a GraphQL query against AniList and resolves with the `data` object.
+ * Identical queries that are already in flight share a single upstream call.
+ * `timeout` bounds each attempt, `deadline` the whole call; past it the
+ * call rejects with an AniListError instead of waiting out a 429 block.
+ */
+export function anilistQuery(query, variables = {}, { timeout = DEFAULT_TIMEOUT, deadline = DEFAULT_DEADLINE } = {}) {
+  const key = JSON.stringify([query.replace(/\s+/g, " ").trim(), variables]);
+
+  if (inFlight.has(key)) {
+    stats.coalesced++;
+    return inFlight.get(key);
+  }
+
+  const promise = send(query, variables, timeout, Date.now() + deadline)
+    .then(body => body.data)
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+export function getAniListStats() {
+  return {
+    ...stats,
+    queued: queue.length,
+    active,
+    inFlight: inFlight.size,
+    requestLimit,
+    remaining,
+    blockedUntil: blockedUntil > Date.now() ? new Date(blockedUntil).toISOString() : null
+  };
+}
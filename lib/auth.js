@@ -0,0 +1,75 @@
+import { SESSION_COOKIE, SESSION_TTL, publicProfile, userForSession } from "./users.js";
+
+/* ===============================
+   AUTH MIDDLEWARE
+   The frontend (Netlify) and API (Render) are different sites, so in
+   production the session cookie must be SameSite=None; Secure. That
+   also sends it with cross-site form posts, so on state-changing
+   requests the session only counts when the Origin is one of ours.
+================================ */
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// Also the CORS allow-list (server.js)
+export const ALLOWED_ORIGINS = ["https://manganext.netlify.app", "http://localhost:3000"];
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? "none" : "lax",
+  path: "/"
+};
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const split = part.indexOf("=");
+    if (split === -1) continue;
+
+    if (part.slice(0, split).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(split + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+export function sessionToken(req) {
+  return readCookie(req, SESSION_COOKIE);
+}
+
+export function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, { ...COOKIE_OPTIONS, maxAge: SESSION_TTL });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, COOKIE_OPTIONS);
+}
+
+// Browsers always send Origin on cross-site POST/PATCH/DELETE; requests
+// without one come from non-browser clients, which CSRF does not affect
+function isTrustedOrigin(req) {
+  const origin = req.headers.origin;
+  return SAFE_METHODS.includes(req.method) || !origin || ALLOWED_ORIGINS.includes(origin);
+}
+
+/**
+ * Sets `req.user` to the signed-in user's public profile, or null for
+ * guests and for state-changing requests from other sites.
+ */
+export function attachUser(req, res, next) {
+  const user = isTrustedOrigin(req) ? userForSession(sessionToken(req)) : null;
+  req.user = user ? publicProfile(user) : null;
+  next();
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in required" });
+  }
+  next();
+}
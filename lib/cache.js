@@ -0,0 +1,276 @@
+import path from "path";
+import { DATA_DIR, readJsonFileSync, writeJsonFile, writeJsonFileSync } from "./jsonFile.js";
+
+/* ===============================
+   CACHE LAYER
+   Bounded LRU caches with per-namespace TTLs,
+   stale-while-revalidate and stale-if-error.
+   Backends are pluggable: "memory" (default)
+   or "disk" (survives restarts).
+================================ */
+
+const DEFAULT_BACKEND = process.env.CACHE_BACKEND || "memory";
+const CACHE_DIR = process.env.CACHE_DIR || path.join(DATA_DIR, "cache");
+const FLUSH_DELAY = 1000 * 5; // batch disk writes
+
+const namespaces = new Map();
+
+/* ===============================
+   BACKENDS
+================================ */
+
+class MemoryBackend {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert so Map order doubles as least-recently-used order
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    let evicted = 0;
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  flush() {}
+}
+
+class DiskBackend extends MemoryBackend {
+  constructor(maxEntries, namespace) {
+    super(maxEntries);
+    this.file = path.join(CACHE_DIR, `${namespace}.json`);
+    this.flushTimer = null;
+
+    const saved = readJsonFileSync(this.file, []);
+    for (const [key, entry] of saved) {
+      super.set(key, entry);
+    }
+  }
+
+  set(key, entry) {
+    const evicted = super.set(key, entry);
+    this.scheduleFlush();
+    return evicted;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      writeJsonFile(this.file, [...this.entries]).catch(err =>
+        console.error(`Cache flush failed (${this.file}):`, err.message)
+      );
+    }, FLUSH_DELAY);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    if (!this.flushTimer) return;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    writeJsonFileSync(this.file, [...this.entries]);
+  }
+}
+
+const backends = {
+  memory: (maxEntries) => new MemoryBackend(maxEntries),
+  disk: (maxEntries, namespace) => new DiskBackend(maxEntries, namespace)
+};
+
+/* ===============================
+   CACHE
+================================ */
+
+class Cache {
+  constructor(namespace, {
+    ttl,
+    maxEntries = 500,
+    staleWhileRevalidate = 0,
+    staleIfError = 0,
+    backend = DEFAULT_BACKEND
+  }) {
+    if (!backends[backend]) {
+      throw new Error(`Unknown cache backend "${backend}"`);
+    }
+
+    this.namespace = namespace;
+    this.ttl = ttl;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.staleIfError = staleIfError;
+    this.retention = ttl + Math.max(staleWhileRevalidate, staleIfError);
+    this.maxEntries = maxEntries;
+    this.backendName = backend;
+    this.store = backends[backend](maxEntries, namespace);
+    this.pending = new Map();
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      staleIfErrorServed: 0,
+      evictions: 0
+    };
+  }
+
+  age(entry) {
+    return Date.now() - entry.timestamp;
+  }
+
+  /**
+   * Returns the cached entry `{ value, timestamp }` while it is fresh, else null.
+   */
+  get(key) {
+    const entry = this.store.get(key);
+
+    if (entry && this.age(entry) <= this.ttl) {
+      this.counters.hits++;
+      return entry;
+    }
+
+    if (entry && this.age(entry) > this.retention) {
+      this.store.delete(key);
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
+  set(key, value) {
+    const entry = { value, timestamp: Date.now() };
+    this.counters.evictions += this.store.set(key, entry);
+    return entry;
+  }
+
+  delete(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * Read-through helper. Serves fresh entries directly, serves stale entries
+   * while refreshing them in the background, and otherwise waits for `fetcher`.
+   * When `fetcher` fails, the last good entry is returned with `stale: true`
+   * as long as it is within the namespace's `staleIfError` window.
+   * Results of `null`/`undefined` are returned but never cached.
+   */
+  async wrap(key, fetcher) {
+    const entry = this.store.get(key);
+    const age = entry ? this.age(entry) : Infinity;
+
+    if (age <= this.ttl) {
+      this.counters.hits++;
+      return entry;
+    }
+
+    if (age <= this.ttl + this.staleWhileRevalidate) {
+      this.counters.staleHits++;
+      this.revalidate(key, fetcher).catch(err =>
+        console.error(`Cache revalidation failed (${this.namespace}:${key}):`, err.message)
+      );
+      return entry;
+    }
+
+    if (entry && age > this.retention) {
+      this.store.delete(key);
+    }
+
+    this.counters.misses++;
+
+    try {
+      return await this.revalidate(key, fetcher);
+    } catch (err) {
+      if (!entry || age > this.ttl + this.staleIfError) throw err;
+
+      console.error(`Serving stale ${this.namespace}:${key} after upstream error:`, err.message);
+      this.counters.staleIfErrorServed++;
+      return { ...entry, stale: true };
+    }
+  }
+
+  revalidate(key, fetcher) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    this.counters.revalidations++;
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(value => (value === null || value === undefined)
+        ? { value, timestamp: Date.now() }
+        : this.set(key, value))
+      .finally(() => this.pending.delete(key));
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  stats() {
+    const { hits, staleHits, misses } = this.counters;
+    const lookups = hits + staleHits + misses;
+
+    return {
+      backend: this.backendName,
+      size: this.store.size,
+      maxEntries: this.maxEntries,
+      ttl: this.ttl,
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      staleIfError: this.staleIfError,
+      ...this.counters,
+      hitRate: lookups ? Number(((hits + staleHits) / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+/* ===============================
+   REGISTRY
+================================ */
+
+export function createCache(namespace, options) {
+  if (namespaces.has(namespace)) {
+    throw new Error(`Cache namespace "${namespace}" already exists`);
+  }
+
+  const cache = new Cache(namespace, options);
+  namespaces.set(namespace, cache);
+  return cache;
+}
+
+export function getCacheStats() {
+  const stats = {};
+  for (const [namespace, cache] of namespaces) {
+    stats[namespace] = cache.stats();
+  }
+  return stats;
+}
+
+export function flushCaches() {
+  for (const cache of namespaces.values()) {
+    cache.store.flush();
+  }
+}
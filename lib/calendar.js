@@ -0,0 +1,100 @@
+/* ===============================
+   ICALENDAR (RFC 5545) RENDERING
+   Routes describe a calendar once:
+     { name, description, url, updated,
+       events: [{ uid, start, durationMinutes, summary, description, url }] }
+   Event UIDs must stay the same across refreshes: calendar apps use
+   them to move a rescheduled episode instead of adding a second one.
+================================ */
+
+export const CALENDAR_TYPE = "text/calendar; charset=utf-8";
+
+const PRODUCT_ID = "-//MangaNext//Airing Schedule//EN";
+const REFRESH_INTERVAL = "PT6H";
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value = "") {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b-\u001f]/g, "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets, never inside a UTF-8 sequence
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * UTC date-time, e.g. 20241006T143000Z.
+ */
+export function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Stable UID for an anime episode. AniList schedule ids are not used
+ * because a rescheduled episode can get a new one.
+ */
+export function episodeUid(mediaId, episode) {
+  return `anime-${mediaId}-episode-${episode}@manganext.netlify.app`;
+}
+
+export function renderCalendar(calendar) {
+  const stamp = icsDate(calendar.updated || new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendar.name)}`,
+    `X-WR-CALDESC:${escapeText(calendar.description)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  if (calendar.url) lines.push(`URL:${calendar.url}`);
+
+  for (const event of calendar.events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(event.start)}`,
+      `DURATION:PT${event.durationMinutes || 24}M`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(
+      "CATEGORIES:Anime",
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,229 @@
+import { createCache } from "./cache.js";
+import { trackedChapters } from "./chapterTracker.js";
+import { fetchLatestChapters, findMangaDexId } from "./mangadex.js";
+import { getMedia } from "./media.js";
+
+/* ===============================
+   CHAPTER RELEASE PREDICTION
+   AniList reports `chapters: null` for ongoing manga, so release
+   dates are worked out from MangaDex publishAt history instead:
+   the usual gap between releases (weekly, biweekly, monthly),
+   breaks and hiatuses, and a predicted date window with a
+   confidence for any future chapter. History comes from the
+   chapter tracker when the series is tracked, MangaDex otherwise.
+================================ */
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Uploads this close together count as one release (bulk uploads)
+const RELEASE_GROUPING = DAY;
+
+// Most recent releases the cadence is worked out from
+const MAX_RELEASES = 16;
+const MIN_RELEASES = 3;
+const HISTORY_LIMIT = 100;
+
+const CADENCES = [
+  { label: "weekly", maxDays: 10 },
+  { label: "biweekly", maxDays: 18 },
+  { label: "monthly", maxDays: 45 }
+];
+
+const historyCache = createCache("chapter-history", {
+  ttl: 1000 * 60 * 60, // 1 hour
+  staleWhileRevalidate: 1000 * 60 * 60 * 6,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 500
+});
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function isoDate(time) {
+  return time == null ? null : new Date(time).toISOString();
+}
+
+/**
+ * Chapters as { number, publishAt (ms) }, oldest first, numbered
+ * chapters only.
+ */
+function normalizeHistory(chapters) {
+  return chapters
+    .map(ch => ({ number: parseFloat(ch.number ?? ch.chapter), publishAt: Date.parse(ch.publishAt) }))
+    .filter(ch => !isNaN(ch.number) && !isNaN(ch.publishAt))
+    .sort((a, b) => a.publishAt - b.publishAt);
+}
+
+/**
+ * Release events: the times the newest chapter number went up.
+ * Re-uploads of older chapters are ignored and uploads within a day
+ * of each other are merged.
+ */
+function releaseEvents(history) {
+  const events = [];
+  let highest = -Infinity;
+
+  for (const ch of history) {
+    if (ch.number <= highest) continue;
+
+    const last = events[events.length - 1];
+    if (last && ch.publishAt - last.at < RELEASE_GROUPING) {
+      last.number = ch.number;
+    } else {
+      events.push({ at: ch.publishAt, number: ch.number, from: highest });
+    }
+    highest = ch.number;
+  }
+
+  return events;
+}
+
+function cadenceLabel(days) {
+  return CADENCES.find(cadence => days <= cadence.maxDays)?.label || "irregular";
+}
+
+function confidenceLabel(confidence) {
+  if (confidence >= 0.7) return "high";
+  if (confidence >= 0.4) return "medium";
+  return "low";
+}
+
+/**
+ * Release info for chapter `number`.
+ *   media: AniList { status, chapters }
+ *   chapters: MangaDex-style history ({ number | chapter, publishAt })
+ *
+ * The cadence is the median gap between recent releases; how much the
+ * gaps vary (median absolute deviation) sets the window width and,
+ * with the number of releases seen, how far ahead the chapter is and
+ * whether the series is overdue, the confidence.
+ */
+export function predictChapterRelease(media, chapters, number, now = Date.now()) {
+  const history = normalizeHistory(chapters);
+  const events = releaseEvents(history).slice(-(MAX_RELEASES + 1));
+  const latest = events[events.length - 1] || null;
+  const latestNumber = Math.max(latest?.number ?? 0, media?.chapters || 0);
+
+  const result = {
+    chapterNumber: number,
+    status: "unknown",
+    isReleased: false,
+    releasedAt: null,
+    latestChapter: latest ? { number: latest.number, publishAt: isoDate(latest.at) } : null,
+    cadence: null,
+    hiatus: null,
+    prediction: null
+  };
+
+  if (number <= latestNumber) {
+    const released = history.find(ch => ch.number === number);
+    return { ...result, status: "released", isReleased: true, releasedAt: isoDate(released?.publishAt) };
+  }
+
+  if (["FINISHED", "CANCELLED"].includes(media?.status)) {
+    return { ...result, status: "finished" };
+  }
+
+  if (events.length < MIN_RELEASES) return result;
+
+  const gaps = events.slice(1).map((event, i) => event.at - events[i].at);
+  const cadence = median(gaps);
+  const spread = median(gaps.map(gap => Math.abs(gap - cadence)));
+  const chaptersPerRelease = Math.max(1, Math.round(median(events.slice(1).map(event => event.number - event.from))));
+
+  const sinceLast = now - latest.at;
+  const onHiatus = sinceLast > Math.max(cadence * 4, 30 * DAY);
+  const isOverdue = sinceLast > cadence * 2;
+
+  result.cadence = {
+    label: cadenceLabel(cadence / DAY),
+    days: Math.round((cadence / DAY) * 10) / 10,
+    chaptersPerRelease,
+    sampleSize: gaps.length
+  };
+
+  result.hiatus = {
+    onHiatus,
+    isOverdue,
+    daysSinceLastRelease: Math.floor(sinceLast / DAY),
+    // Gaps of at least two missed releases, newest first
+    breaks: events.slice(1)
+      .map((event, i) => ({ from: events[i].at, to: event.at }))
+      .filter(gap => gap.to - gap.from > cadence * 2)
+      .reverse()
+      .slice(0, 5)
+      .map(gap => ({ from: isoDate(gap.from), to: isoDate(gap.to), days: Math.round((gap.to - gap.from) / DAY) }))
+  };
+
+  const releasesAhead = Math.ceil((number - latest.number) / chaptersPerRelease);
+  // A series on hiatus needs at least one more gap once it returns
+  const next = onHiatus ? now + cadence : Math.max(latest.at + cadence, now);
+  const date = next + (releasesAhead - 1) * cadence;
+
+  let width = Math.max(DAY, spread * Math.sqrt(releasesAhead));
+  if (onHiatus) width = Math.max(width, cadence * releasesAhead);
+
+  const regularity = Math.max(0, 1 - spread / cadence);
+  const sample = Math.min(1, gaps.length / 8);
+  const horizon = 0.9 ** (releasesAhead - 1);
+  const timeliness = onHiatus ? 0.25 : isOverdue ? 0.6 : 1;
+  const confidence = Math.round(regularity * sample * horizon * timeliness * 100) / 100;
+
+  result.status = onHiatus ? "hiatus" : "predicted";
+  result.prediction = {
+    date: isoDate(date),
+    windowStart: isoDate(Math.max(now, date - width)),
+    windowEnd: isoDate(date + width),
+    releasesAhead,
+    confidence,
+    confidenceLabel: confidenceLabel(confidence)
+  };
+
+  return result;
+}
+
+async function loadHistory(media) {
+  const mangadexId = await findMangaDexId(media.title?.english || media.title?.romaji, media.id);
+  if (!mangadexId) return { source: null, chapters: [] };
+
+  return {
+    source: "mangadex",
+    chapters: await fetchLatestChapters(mangadexId, { limit: HISTORY_LIMIT })
+  };
+}
+
+/**
+ * Cache entry for AniList manga `id` with `value`
+ * { manga, release: predictChapterRelease(...) }, or a null value when
+ * there is no such manga. Tracker history is used when it has enough
+ * releases to predict from, MangaDex history otherwise. The prediction
+ * itself is redone on every call so windows move with the clock.
+ */
+export async function getChapterRelease(id, number) {
+  const media = await getMedia(id);
+  if (!media) return { value: null, timestamp: Date.now() };
+
+  const tracked = trackedChapters(media.id);
+  const entry = tracked && releaseEvents(normalizeHistory(tracked)).length >= MIN_RELEASES
+    ? { value: { source: "tracker", chapters: tracked }, timestamp: Date.now() }
+    : await historyCache.wrap(`history-${media.id}`, () => loadHistory(media));
+
+  return {
+    ...entry,
+    value: {
+      manga: {
+        id: media.id,
+        title: media.title,
+        status: media.status,
+        totalChapters: media.chapters
+      },
+      release: {
+        ...predictChapterRelease(media, entry.value.chapters, number),
+        source: entry.value.source
+      }
+    }
+  };
+}
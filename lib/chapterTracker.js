@@ -0,0 +1,317 @@
+import path from "path";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+import { fetchChapterFeed, findMangaDexId } from "./mangadex.js";
+import { listEntries, trackedMedia } from "./library.js";
+
+/* ===============================
+   CHAPTER TRACKER
+   Polls the MangaDex feed of every manga in someone's library and
+   records the chapters it finds, in chapters.json:
+     { version, series: { <anilistId>: series } }
+   After the first full fetch each poll only asks for chapters
+   published since the newest one already seen (publishAtSince).
+   Chapters are keyed by number, so several scanlations of the same
+   chapter count once.
+================================ */
+
+const POLL_INTERVAL = 1000 * 60 * (Number(process.env.MANGADEX_POLL_INTERVAL ?? 30));
+const MAX_SERIES_PER_CYCLE = parseInt(process.env.MANGADEX_POLL_BATCH) || 50;
+const LOOKUP_RETRY = 1000 * 60 * 60 * 24; // titles without a MangaDex match
+const MAX_FAILURE_BACKOFF = 1000 * 60 * 60 * 12;
+
+const doc = openJsonDocument(
+  process.env.CHAPTERS_FILE || path.join(DATA_DIR, "chapters.json"),
+  { version: 1, series: {} }
+);
+
+const listeners = [];
+
+// Besides library manga, other features (webhooks) can ask for titles
+// to be polled; each source returns entries with mediaId and title.
+const sources = [() => trackedMedia("MANGA").values()];
+
+const stats = {
+  cycles: 0,
+  polled: 0,
+  newChapters: 0,
+  failures: 0,
+  lastCycleAt: null,
+  running: false
+};
+
+function chapterNumber(chapter) {
+  const n = parseFloat(chapter.number);
+  return isNaN(n) ? null : n;
+}
+
+function sortedChapters(series) {
+  return Object.values(series?.chapters || {})
+    .sort((a, b) => chapterNumber(a) - chapterNumber(b));
+}
+
+/**
+ * Adds `fn()`, returning `{ mediaId, title }` entries, to the set of
+ * manga that get polled.
+ */
+export function trackMangaFrom(fn) {
+  sources.push(fn);
+}
+
+function polledMedia() {
+  const media = new Map();
+  for (const source of sources) {
+    for (const entry of source()) {
+      if (!media.has(entry.mediaId)) media.set(entry.mediaId, entry);
+    }
+  }
+  return [...media.values()];
+}
+
+/**
+ * Registers `fn(media, chapters)`, called with the AniList media id and
+ * title plus the chapters a poll found. Not called for the first fetch
+ * of a series, which would report its whole back catalogue.
+ */
+export function onNewChapters(fn) {
+  listeners.push(fn);
+}
+
+function notify(series, chapters) {
+  for (const fn of listeners) {
+    try {
+      fn({ mediaId: series.mediaId, title: series.title, mangadexId: series.mangadexId }, chapters);
+    } catch (err) {
+      console.error("New chapter listener failed:", err.message);
+    }
+  }
+}
+
+/* ===============================
+   POLLING
+================================ */
+
+async function pollSeries(entry) {
+  const now = Date.now();
+  const series = doc.data.series[entry.mediaId] ||= {
+    mediaId: entry.mediaId,
+    mangadexId: null,
+    chapters: {},
+    lastPublishAt: null,
+    failures: 0
+  };
+
+  series.title = entry.title;
+
+  try {
+    if (!series.mangadexId) {
+      series.mangadexId = await findMangaDexId(entry.title?.english || entry.title?.romaji, entry.mediaId);
+
+      if (!series.mangadexId) {
+        series.nextPollAt = new Date(now + LOOKUP_RETRY).toISOString();
+        return;
+      }
+    }
+
+    const firstFetch = !series.lastPolledAt;
+    const feed = await fetchChapterFeed(series.mangadexId, { publishAtSince: series.lastPublishAt });
+    const added = [];
+
+    for (const chapter of feed) {
+      // Oneshots and other unnumbered uploads cannot be compared with progress
+      if (isNaN(parseFloat(chapter.chapter)) || series.chapters[chapter.chapter]) continue;
+
+      const record = {
+        number: chapter.chapter,
+        volume: chapter.volume,
+        title: chapter.title,
+        chapterId: chapter.id,
+        pages: chapter.pages,
+        externalUrl: chapter.externalUrl,
+        publishAt: chapter.publishAt,
+        foundAt: new Date(now).toISOString()
+      };
+
+      series.chapters[chapter.chapter] = record;
+      added.push(record);
+
+      if (!series.lastPublishAt || Date.parse(chapter.publishAt) > Date.parse(series.lastPublishAt)) {
+        series.lastPublishAt = chapter.publishAt;
+      }
+    }
+
+    series.lastPolledAt = new Date(now).toISOString();
+    series.nextPollAt = new Date(now + POLL_INTERVAL).toISOString();
+    series.failures = 0;
+    delete series.lastError;
+
+    stats.newChapters += added.length;
+    if (added.length && !firstFetch) notify(series, added);
+
+  } catch (err) {
+    stats.failures++;
+    series.failures++;
+    series.lastError = err.message;
+    series.nextPollAt = new Date(now + Math.min(POLL_INTERVAL * 2 ** series.failures, MAX_FAILURE_BACKOFF)).toISOString();
+    console.error(`MangaDex poll error (${entry.mediaId}):`, err.message);
+
+  } finally {
+    stats.polled++;
+    doc.save();
+  }
+}
+
+/**
+ * Polls the tracked manga that are due, never-polled ones first, at
+ * most MAX_SERIES_PER_CYCLE per run. Overlapping runs are skipped.
+ */
+export async function pollTrackedManga({ now = Date.now() } = {}) {
+  if (stats.running) return 0;
+  stats.running = true;
+
+  try {
+    const due = polledMedia()
+      .filter(entry => {
+        const next = doc.data.series[entry.mediaId]?.nextPollAt;
+        return !next || Date.parse(next) <= now;
+      })
+      .sort((a, b) =>
+        (Date.parse(doc.data.series[a.mediaId]?.nextPollAt) || 0) -
+        (Date.parse(doc.data.series[b.mediaId]?.nextPollAt) || 0)
+      )
+      .slice(0, MAX_SERIES_PER_CYCLE);
+
+    for (const entry of due) {
+      await pollSeries(entry);
+    }
+
+    return due.length;
+
+  } finally {
+    stats.cycles++;
+    stats.lastCycleAt = new Date().toISOString();
+    stats.running = false;
+  }
+}
+
+/**
+ * Starts the background poll. MANGADEX_POLL_INTERVAL is in minutes;
+ * 0 turns polling off.
+ */
+export function startChapterPolling() {
+  if (!(POLL_INTERVAL > 0)) return;
+
+  // Cycles are small, so they run more often than each series is due
+  const tick = () => pollTrackedManga().catch(err =>
+    console.error("MangaDex poll cycle error:", err.message)
+  );
+
+  setTimeout(tick, 1000 * 10).unref();
+  setInterval(tick, Math.min(POLL_INTERVAL, 1000 * 60 * 5)).unref();
+}
+
+/* ===============================
+   PER-USER VIEWS
+================================ */
+
+/**
+ * Tracked chapters of a manga past `progress`.
+ */
+function chaptersAfter(mediaId, progress) {
+  return sortedChapters(doc.data.series[mediaId])
+    .filter(chapter => chapterNumber(chapter) > progress);
+}
+
+/**
+ * New-chapter counts for the user's manga that are not dropped.
+ * `tracked` is false until the first poll of a title has finished.
+ */
+export function unreadCounts(userId) {
+  const series = listEntries(userId, { type: "MANGA" })
+    .filter(entry => entry.status !== "dropped")
+    .map(entry => {
+      const tracked = doc.data.series[entry.mediaId];
+      const unread = chaptersAfter(entry.mediaId, entry.progress);
+      const latest = sortedChapters(tracked).at(-1) || null;
+
+      return {
+        mediaId: entry.mediaId,
+        title: entry.title,
+        coverImage: entry.coverImage,
+        status: entry.status,
+        progress: entry.progress,
+        unread: unread.length,
+        latestChapter: latest?.number ?? null,
+        lastPublishAt: tracked?.lastPublishAt || null,
+        tracked: Boolean(tracked?.lastPolledAt)
+      };
+    })
+    .sort((a, b) => b.unread - a.unread || Date.parse(b.lastPublishAt || 0) - Date.parse(a.lastPublishAt || 0));
+
+  return {
+    total: series.reduce((sum, item) => sum + item.unread, 0),
+    series
+  };
+}
+
+// Newest first; ties broken by series and chapter so paging is stable
+function compareFeedItems(a, b) {
+  return Date.parse(b.publishAt) - Date.parse(a.publishAt) ||
+    a.mediaId - b.mediaId ||
+    chapterNumber(b) - chapterNumber(a);
+}
+
+function encodeFeedCursor(item) {
+  return Buffer.from(JSON.stringify([item.publishAt, item.mediaId, item.number])).toString("base64url");
+}
+
+function decodeFeedCursor(cursor) {
+  try {
+    const [publishAt, mediaId, number] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return { publishAt, mediaId, number };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unread chapters across the user's manga, newest publishAt first.
+ * `after` is the `nextCursor` of the previous page.
+ */
+export function unreadFeed(userId, { limit = 30, after = null } = {}) {
+  const cursor = after ? decodeFeedCursor(after) : null;
+  const items = [];
+
+  for (const entry of listEntries(userId, { type: "MANGA" })) {
+    if (entry.status === "dropped") continue;
+
+    for (const chapter of chaptersAfter(entry.mediaId, entry.progress)) {
+      const item = { mediaId: entry.mediaId, manga: { title: entry.title, coverImage: entry.coverImage }, ...chapter };
+      if (cursor && compareFeedItems(item, cursor) <= 0) continue;
+      items.push(item);
+    }
+  }
+
+  items.sort(compareFeedItems);
+  const page = items.slice(0, limit);
+
+  return {
+    chapters: page,
+    nextCursor: items.length > limit ? encodeFeedCursor(page.at(-1)) : null
+  };
+}
+
+/**
+ * Recorded chapters of a tracked manga, or null if it is not tracked.
+ */
+export function trackedChapters(mediaId) {
+  const series = doc.data.series[mediaId];
+  return series ? sortedChapters(series) : null;
+}
+
+export function getTrackerStats() {
+  return {
+    ...stats,
+    series: Object.keys(doc.data.series).length,
+    intervalMinutes: POLL_INTERVAL / 60000
+  };
+}
@@ -0,0 +1,86 @@
+import path from "path";
+import { DATA_DIR, readJsonFileSync, writeJsonFile, writeJsonFileSync } from "../jsonFile.js";
+
+/* ===============================
+   JSON FILE COMMENT STORE
+   Everything lives in memory and is written back to a single
+   JSON file (atomically, batched) after every change.
+================================ */
+
+const FLUSH_DELAY = 1000; // batch bursts of writes
+
+const clone = (value) => structuredClone(value);
+
+export class FileCommentStore {
+  constructor(file = path.join(DATA_DIR, "comments.json")) {
+    this.file = file;
+    this.flushTimer = null;
+
+    const saved = readJsonFileSync(file, { version: 1, threads: {} });
+    this.threads = saved.threads || {};
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      writeJsonFile(this.file, { version: 1, threads: this.threads }).catch(err =>
+        console.error(`Comment store flush failed (${this.file}):`, err.message)
+      );
+    }, FLUSH_DELAY);
+  }
+
+  flush() {
+    if (!this.flushTimer) return;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    writeJsonFileSync(this.file, { version: 1, threads: this.threads });
+  }
+
+  /** Comments of a thread, newest first, replies embedded. */
+  async list(threadKey) {
+    return clone(this.threads[threadKey] || []);
+  }
+
+  async listThreadKeys() {
+    return Object.keys(this.threads);
+  }
+
+  async get(threadKey, commentId) {
+    const comment = (this.threads[threadKey] || []).find(c => c.id === commentId);
+    return comment ? clone(comment) : null;
+  }
+
+  async insert(threadKey, comment) {
+    if (!this.threads[threadKey]) {
+      this.threads[threadKey] = [];
+    }
+    this.threads[threadKey].unshift(clone(comment));
+    this.scheduleFlush();
+  }
+
+  async update(threadKey, comment) {
+    const thread = this.threads[threadKey] || [];
+    const index = thread.findIndex(c => c.id === comment.id);
+    if (index === -1) return false;
+
+    thread[index] = clone(comment);
+    this.scheduleFlush();
+    return true;
+  }
+
+  async remove(threadKey, commentId) {
+    const thread = this.threads[threadKey] || [];
+    const index = thread.findIndex(c => c.id === commentId);
+    if (index === -1) return false;
+
+    thread.splice(index, 1);
+    if (thread.length === 0) delete this.threads[threadKey];
+    this.scheduleFlush();
+    return true;
+  }
+
+  close() {
+    this.flush();
+  }
+}
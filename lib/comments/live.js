@@ -0,0 +1,120 @@
+/* ===============================
+   LIVE THREAD UPDATES (SSE)
+   One in-process hub: every open stream is a subscriber of one
+   thread. Payloads are rendered per subscriber so spoiler masking
+   and `likedByMe` stay correct for each reader.
+================================ */
+
+const HEARTBEAT_INTERVAL = 1000 * 25; // below Render's 100s proxy idle timeout
+const MAX_CONNECTION_AGE = 1000 * 60 * 30; // clients reconnect after 30 minutes
+const MAX_STREAMS_PER_IP = 6;
+const RETRY_DELAY = 5000;
+
+const threads = new Map(); // threadKey -> Set<client>
+const streamsPerIp = new Map();
+
+function write(client, chunk) {
+  client.res.write(chunk);
+  // compression() buffers writes until flushed
+  client.res.flush?.();
+}
+
+function send(client, event, data) {
+  write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function readerCount(key) {
+  const clients = threads.get(key);
+  return clients ? new Set([...clients].map(c => c.voter)).size : 0;
+}
+
+function broadcastPresence(key) {
+  const readers = readerCount(key);
+  for (const client of threads.get(key) || []) {
+    send(client, "presence", { readers });
+  }
+}
+
+/**
+ * Opens an event stream on `res` for thread `key`. `voter` identifies the
+ * reader for presence counts; `view` is whatever the route needs to
+ * render payloads for them. Returns false if the IP has too many streams.
+ */
+export function subscribe(key, req, res, { voter, view = {} }) {
+  const ip = req.ip;
+  const open = streamsPerIp.get(ip) || 0;
+  if (open >= MAX_STREAMS_PER_IP) return false;
+  streamsPerIp.set(ip, open + 1);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+
+  const client = { res, voter, view };
+  if (!threads.has(key)) threads.set(key, new Set());
+  threads.get(key).add(client);
+
+  write(client, `retry: ${RETRY_DELAY}\n\n`);
+  broadcastPresence(key);
+
+  const heartbeat = setInterval(() => write(client, ": ping\n\n"), HEARTBEAT_INTERVAL);
+  const expiry = setTimeout(() => res.end(), MAX_CONNECTION_AGE);
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+
+    const clients = threads.get(key);
+    clients?.delete(client);
+    if (clients && !clients.size) threads.delete(key);
+
+    const remaining = (streamsPerIp.get(ip) || 1) - 1;
+    if (remaining > 0) streamsPerIp.set(ip, remaining);
+    else streamsPerIp.delete(ip);
+
+    broadcastPresence(key);
+  };
+
+  req.on("close", cleanup);
+  res.on("close", cleanup);
+  res.on("error", cleanup);
+  return true;
+}
+
+/**
+ * Sends `event` to every reader of thread `key`. `render(client)` builds
+ * the payload for one reader; return null to skip them.
+ */
+export function publish(key, event, render) {
+  for (const client of threads.get(key) || []) {
+    const data = render(client);
+    if (data !== null) send(client, event, data);
+  }
+}
+
+export function readersOf(key) {
+  return readerCount(key);
+}
+
+/**
+ * Ends every open stream; browsers reconnect to the next instance.
+ */
+export function closeAllStreams() {
+  for (const clients of threads.values()) {
+    for (const client of clients) client.res.end();
+  }
+}
+
+export function getLiveStats() {
+  let streams = 0;
+  for (const clients of threads.values()) streams += clients.size;
+  return { threads: threads.size, streams };
+}
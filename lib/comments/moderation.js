@@ -0,0 +1,207 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR, readJsonFileSync, writeJsonFileSync } from "../jsonFile.js";
+
+/* ===============================
+   COMMENT MODERATION
+   Word filters, bans and reports. Filters and bans live in
+   moderation.json (editable by hand or through the moderator API);
+   every moderator action is appended to moderation-audit.log.
+================================ */
+
+const STATE_FILE = path.join(DATA_DIR, "moderation.json");
+const AUDIT_FILE = path.join(DATA_DIR, "moderation-audit.log");
+
+export const REPORT_THRESHOLD = Number(process.env.COMMENTS_REPORT_THRESHOLD) || 3;
+export const REPORT_REASONS = ["spam", "abuse", "harassment", "spoiler", "off-topic", "other"];
+export const FILTER_ACTIONS = ["hold", "reject"];
+export const BAN_TYPES = ["ip", "username"];
+
+const state = {
+  filters: [],
+  bans: [],
+  ...readJsonFileSync(STATE_FILE, {})
+};
+
+function save() {
+  writeJsonFileSync(STATE_FILE, { version: 1, filters: state.filters, bans: state.bans });
+}
+
+/* ===============================
+   WORD FILTER
+   Case-insensitive whole-word matches; a trailing "*" matches any
+   word starting with the pattern. Accents and common digit/symbol
+   substitutions ("h4te", "$pam") are folded before matching.
+================================ */
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+function normalize(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[013457@$]/g, ch => LEET[ch]);
+}
+
+function filterRegex(pattern) {
+  const prefix = pattern.endsWith("*");
+  const escaped = normalize(prefix ? pattern.slice(0, -1) : pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z])${escaped}${prefix ? "" : "(?![a-z])"}`);
+}
+
+/**
+ * Runs `text` through the word filter. `action` is "reject", "hold" or
+ * null; a reject rule wins over any hold rule.
+ */
+export function checkText(text) {
+  const normalized = normalize(text);
+  const matches = state.filters.filter(rule => filterRegex(rule.pattern).test(normalized));
+
+  const rule = matches.find(r => r.action === "reject") || matches[0] || null;
+  return { action: rule?.action || null, rule };
+}
+
+export function listFilters() {
+  return state.filters;
+}
+
+export function addFilter(pattern, action) {
+  const rule = {
+    id: crypto.randomUUID(),
+    pattern: String(pattern).trim().toLowerCase(),
+    action,
+    createdAt: new Date().toISOString()
+  };
+
+  state.filters.push(rule);
+  save();
+  return rule;
+}
+
+export function removeFilter(id) {
+  const rule = state.filters.find(r => r.id === id);
+  if (!rule) return null;
+
+  state.filters = state.filters.filter(r => r.id !== id);
+  save();
+  return rule;
+}
+
+/* ===============================
+   BANS
+   "ip" bans hold the salted IP hash stored on comments as
+   `authorHash`; "username" bans hold the lowercased name.
+================================ */
+
+function activeBans() {
+  const now = Date.now();
+  return state.bans.filter(ban => !ban.expiresAt || Date.parse(ban.expiresAt) > now);
+}
+
+export function findBan({ username, authorHash }) {
+  const name = username?.toLowerCase();
+
+  return activeBans().find(ban =>
+    (ban.type === "username" && ban.value === name) ||
+    (ban.type === "ip" && ban.value === authorHash)
+  ) || null;
+}
+
+export function listBans() {
+  return activeBans();
+}
+
+export function addBan({ type, value, reason = "", days = null, moderator }) {
+  const ban = {
+    id: crypto.randomUUID(),
+    type,
+    value: type === "username" ? value.toLowerCase() : value,
+    reason,
+    moderator,
+    createdAt: new Date().toISOString(),
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+  };
+
+  state.bans = [...activeBans(), ban];
+  save();
+  return ban;
+}
+
+export function removeBan(id) {
+  const ban = state.bans.find(b => b.id === id);
+  if (!ban) return null;
+
+  state.bans = state.bans.filter(b => b.id !== id);
+  save();
+  return ban;
+}
+
+/* ===============================
+   REPORTS & VISIBILITY
+   Items without a status are visible. "held" items wait for a
+   moderator because of the word filter; "hidden" items passed
+   the report threshold.
+================================ */
+
+export function isPublic(item) {
+  return !item.status || item.status === "visible";
+}
+
+/**
+ * Comments a reader may see, with non-public replies dropped.
+ */
+export function visibleOnly(comments) {
+  return comments
+    .filter(isPublic)
+    .map(comment => ({ ...comment, replies: (comment.replies || []).filter(isPublic) }));
+}
+
+/**
+ * Records one report (`{ reason, details, chapter }`) per voter (a
+ * strictVoterId). Returns false for a repeat report; hides the item
+ * once it reaches REPORT_THRESHOLD.
+ */
+export function addReport(item, voter, { reason, details = "", chapter = null }) {
+  item.reports = item.reports || [];
+  if (item.reports.some(r => r.voter === voter)) return false;
+
+  item.reports.push({ voter, reason, details, chapter, at: new Date().toISOString() });
+
+  if (isPublic(item) && item.reports.length >= REPORT_THRESHOLD) {
+    item.status = "hidden";
+    item.hiddenAt = new Date().toISOString();
+  }
+
+  return true;
+}
+
+/* ===============================
+   AUDIT LOG
+================================ */
+
+export async function audit(moderator, action, target, details = {}) {
+  const line = JSON.stringify({ at: new Date().toISOString(), moderator, action, target, ...details });
+
+  try {
+    await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_FILE, `${line}\n`);
+  } catch (err) {
+    console.error("Moderation audit error:", err.message);
+  }
+}
+
+/**
+ * Most recent audit entries first.
+ */
+export async function readAudit(limit = 100) {
+  try {
+    const lines = (await fs.promises.readFile(AUDIT_FILE, "utf8")).trim().split("\n");
+    return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return [];
+  }
+}
@@ -0,0 +1,85 @@
+/* ===============================
+   COMMENT PAGINATION
+   Keyset cursors: every sort mode maps an item to a tuple of
+   ascending sort keys, and a cursor is the tuple of the last item
+   served. New comments arriving between pages never shift or
+   repeat what the client has already seen.
+================================ */
+
+function time(item) {
+  return Date.parse(item.timestamp) || 0;
+}
+
+function replyCount(item) {
+  return item.replies?.length || 0;
+}
+
+// Lots of discussion relative to approval (replies vs likes),
+// scored like reddit's magnitude ** balance
+function controversy(item) {
+  const likes = item.likes || 0;
+  const replies = replyCount(item);
+  if (!likes || !replies) return replies ? 1 : 0;
+  return (likes + replies) ** (Math.min(likes, replies) / Math.max(likes, replies));
+}
+
+export const COMMENT_SORTS = {
+  newest: item => [-time(item), item.id],
+  oldest: item => [time(item), item.id],
+  top: item => [-(item.likes || 0), -time(item), item.id],
+  controversial: item => [-controversy(item), -replyCount(item), -time(item), item.id]
+};
+
+export const REPLY_SORTS = {
+  oldest: COMMENT_SORTS.oldest,
+  newest: COMMENT_SORTS.newest,
+  top: item => [-(item.likes || 0), time(item), item.id]
+};
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (typeof a[i] === "number") return a[i] - b[i];
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function encodeCursor(sort, keys) {
+  return Buffer.from(JSON.stringify({ s: sort, k: keys })).toString("base64url");
+}
+
+/**
+ * Returns the key tuple stored in `cursor`, or null when it is malformed
+ * or was issued for a different sort mode.
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return s === sort && Array.isArray(k) ? k : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sorts `items` with `sorts[sort]` and returns the page after `after`
+ * (a decoded cursor) plus the cursor for the following page.
+ */
+export function paginate(items, sorts, sort, { after = null, limit }) {
+  const keyed = items
+    .map(item => ({ item, keys: sorts[sort](item) }))
+    .sort((a, b) => compareKeys(a.keys, b.keys));
+
+  const start = after
+    ? keyed.findIndex(entry => compareKeys(entry.keys, after) > 0)
+    : 0;
+
+  const page = start === -1 ? [] : keyed.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < keyed.length;
+
+  return {
+    items: page.map(entry => entry.item),
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1].keys) : null
+  };
+}
@@ -0,0 +1,103 @@
+/* ===============================
+   SPOILER MARKUP
+   Two syntaxes, parsed once when a post is saved:
+     ||hidden text||
+     [spoiler]hidden text[/spoiler]
+     [spoiler=123]about chapter 123[/spoiler]
+   A post may also declare `spoilsUpTo` (a chapter number); readers
+   whose `readUpTo` is lower get the affected parts masked.
+================================ */
+
+const SPOILER_PATTERN =
+  /\|\|([\s\S]+?)\|\||\[spoiler(?:=\s*(?:ch(?:apter)?\.?\s*)?(\d+(?:\.\d+)?))?\]([\s\S]+?)\[\/spoiler\]/gi;
+
+export const MASKED_PLACEHOLDER = "[spoiler]";
+
+/**
+ * Non-negative chapter number from user input, or null.
+ */
+export function parseChapter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Splits `text` into `{ type: "text" | "spoiler", text, chapter }`
+ * segments. Returns null when the text has no spoiler markup.
+ */
+export function parseSpoilers(text) {
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(SPOILER_PATTERN)) {
+    if (match.index > last) {
+      segments.push({ type: "text", text: text.slice(last, match.index) });
+    }
+
+    segments.push({
+      type: "spoiler",
+      text: (match[1] ?? match[3]).trim(),
+      chapter: parseChapter(match[2])
+    });
+    last = match.index + match[0].length;
+  }
+
+  if (!segments.length) return null;
+
+  if (last < text.length) {
+    segments.push({ type: "text", text: text.slice(last) });
+  }
+
+  return segments;
+}
+
+function toText(segments) {
+  return segments
+    .map(segment => {
+      if (segment.type === "text") return segment.text;
+      return segment.masked ? MASKED_PLACEHOLDER : `||${segment.text}||`;
+    })
+    .join("");
+}
+
+/**
+ * Spoiler fields for a reader who has read up to `readUpTo`.
+ * Untagged spoiler segments count as spoiling the post's declared
+ * chapter, or the thread's own chapter when nothing was declared.
+ * Without `readUpTo` nothing is masked; segments are still returned
+ * so clients can blur them.
+ */
+export function viewSpoilers(item, { readUpTo = null, chapter = null, inheritedSpoilsUpTo = null } = {}) {
+  const declared = [item.spoilsUpTo, inheritedSpoilsUpTo]
+    .filter(n => typeof n === "number")
+    .reduce((max, n) => Math.max(max ?? n, n), null);
+
+  const hides = ch => readUpTo !== null && ch !== null && ch > readUpTo;
+
+  if (hides(declared)) {
+    return { text: null, segments: [], spoilsUpTo: declared, spoilerMasked: true };
+  }
+
+  if (!item.segments) {
+    return { text: item.text, segments: null, spoilsUpTo: declared, spoilerMasked: false };
+  }
+
+  const segments = item.segments.map(segment => {
+    if (segment.type !== "spoiler") return segment;
+
+    const spoils = segment.chapter ?? declared ?? chapter;
+    return hides(spoils)
+      ? { type: "spoiler", text: null, chapter: spoils, masked: true }
+      : { ...segment, chapter: spoils, masked: false };
+  });
+
+  const masked = segments.some(segment => segment.masked);
+
+  return {
+    text: masked ? toText(segments) : item.text,
+    segments,
+    spoilsUpTo: declared,
+    spoilerMasked: false
+  };
+}
@@ -0,0 +1,81 @@
+import fs from "fs";
+import path from "path";
+import { DATA_DIR } from "../jsonFile.js";
+
+/* ===============================
+   SQLITE COMMENT STORE
+   One row per top-level comment; replies stay embedded in the
+   JSON document so both backends share the same comment shape.
+================================ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS comments (
+    thread_key TEXT NOT NULL,
+    id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (thread_key, id)
+  );
+  CREATE INDEX IF NOT EXISTS comments_by_thread
+    ON comments (thread_key, created_at DESC);
+`;
+
+export class SqliteCommentStore {
+  /**
+   * `Database` is the better-sqlite3 constructor, passed in so the native
+   * module is only loaded when this backend is actually selected.
+   */
+  constructor(Database, file = path.join(DATA_DIR, "comments.db")) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      list: this.db.prepare(
+        "SELECT data FROM comments WHERE thread_key = ? ORDER BY created_at DESC, rowid DESC"
+      ),
+      threadKeys: this.db.prepare("SELECT DISTINCT thread_key FROM comments"),
+      get: this.db.prepare("SELECT data FROM comments WHERE thread_key = ? AND id = ?"),
+      insert: this.db.prepare(
+        "INSERT INTO comments (thread_key, id, created_at, data) VALUES (?, ?, ?, ?)"
+      ),
+      update: this.db.prepare("UPDATE comments SET data = ? WHERE thread_key = ? AND id = ?"),
+      remove: this.db.prepare("DELETE FROM comments WHERE thread_key = ? AND id = ?")
+    };
+  }
+
+  async list(threadKey) {
+    return this.statements.list.all(threadKey).map(row => JSON.parse(row.data));
+  }
+
+  async listThreadKeys() {
+    return this.statements.threadKeys.all().map(row => row.thread_key);
+  }
+
+  async get(threadKey, commentId) {
+    const row = this.statements.get.get(threadKey, commentId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async insert(threadKey, comment) {
+    this.statements.insert.run(threadKey, comment.id, comment.timestamp, JSON.stringify(comment));
+  }
+
+  async update(threadKey, comment) {
+    const result = this.statements.update.run(JSON.stringify(comment), threadKey, comment.id);
+    return result.changes > 0;
+  }
+
+  async remove(threadKey, commentId) {
+    const result = this.statements.remove.run(threadKey, commentId);
+    return result.changes > 0;
+  }
+
+  flush() {}
+
+  close() {
+    this.db.close();
+  }
+}
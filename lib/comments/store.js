@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR } from "../jsonFile.js";
+import { FileCommentStore } from "./fileStore.js";
+import { SqliteCommentStore } from "./sqliteStore.js";
+import { onShutdown } from "../shutdown.js";
+
+/* ===============================
+   COMMENT STORE
+   Backends share one async interface:
+     list(threadKey)              -> comments, newest first
+     listThreadKeys()             -> every thread with comments
+     get(threadKey, id)           -> comment or null
+     insert(threadKey, comment)
+     update(threadKey, comment)   -> false if it no longer exists
+     remove(threadKey, id)        -> false if it did not exist
+   Select one with COMMENTS_STORE=file (default) or sqlite.
+================================ */
+
+export function newId() {
+  return crypto.randomUUID();
+}
+
+export async function openCommentStore(backend = process.env.COMMENTS_STORE || "file") {
+  if (backend === "file") {
+    return new FileCommentStore(process.env.COMMENTS_FILE || undefined);
+  }
+
+  if (backend === "sqlite") {
+    // Optional native dependency, only loaded when asked for
+    const { default: Database } = await import("better-sqlite3");
+    return new SqliteCommentStore(Database, process.env.COMMENTS_DB || undefined);
+  }
+
+  throw new Error(`Unknown comment store "${backend}"`);
+}
+
+/* ===============================
+   STORE LOCK
+   The server writes its pid to comments.lock while it has the store
+   open. Scripts that write the store directly check it and refuse to
+   run: the file store keeps everything in memory, so a running server
+   would write over what they imported.
+================================ */
+
+const LOCK_FILE = path.join(DATA_DIR, "comments.lock");
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Pid of another live process holding the store lock, or null.
+ */
+export function storeLockHolder() {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(LOCK_FILE, "utf8"));
+  } catch {
+    return null;
+  }
+  return pid > 0 && pid !== process.pid && isRunning(pid) ? pid : null;
+}
+
+// The server never waits on the lock: after a crash the file can name
+// a pid that now belongs to an unrelated process
+function lockStore() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(LOCK_FILE, String(process.pid));
+
+  onShutdown(() => {
+    if (!storeLockHolder()) fs.rmSync(LOCK_FILE, { force: true });
+  });
+}
+
+let shared = null;
+
+/**
+ * The process-wide store shared by every router that touches comments.
+ * Holds the store lock until shutdown.
+ */
+export function getCommentStore() {
+  if (!shared) {
+    shared = openCommentStore().then(store => {
+      lockStore();
+      onShutdown(() => store.close());
+      return store;
+    });
+  }
+  return shared;
+}
+
+/**
+ * Imports an exported dump into a store. Accepts both the legacy in-memory
+ * shape (`{ "<slug>-<chapter>": [comments] }`) and the file store's own
+ * `{ version, threads }` format. Comments already present are skipped.
+ */
+export async function importThreads(store, dump) {
+  const threads = dump?.threads && typeof dump.threads === "object" ? dump.threads : dump;
+  const report = { threads: 0, imported: 0, skipped: 0 };
+
+  for (const [threadKey, comments] of Object.entries(threads || {})) {
+    if (!Array.isArray(comments)) continue;
+    report.threads++;
+
+    // Oldest first so every backend ends up newest-first
+    const ordered = [...comments].sort((a, b) =>
+      String(a.timestamp).localeCompare(String(b.timestamp))
+    );
+
+    for (const comment of ordered) {
+      if (!comment?.id || !comment.text) {
+        report.skipped++;
+        continue;
+      }
+
+      if (await store.get(threadKey, String(comment.id))) {
+        report.skipped++;
+        continue;
+      }
+
+      await store.insert(threadKey, {
+        ...comment,
+        id: String(comment.id),
+        timestamp: comment.timestamp || new Date().toISOString(),
+        likes: comment.likes || 0,
+        replies: (comment.replies || []).map(reply => ({ ...reply, id: String(reply.id) }))
+      });
+      report.imported++;
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,73 @@
+/* ===============================
+   DISCUSSION SUBJECTS
+   A thread belongs to a subject:
+     { type: "manga", slug, unit: "chapter", number }   manga chapter
+     { type: "anime", slug, unit: "episode", number }   anime episode
+     { type, slug, unit: null, number: null }           whole series
+   Manga chapters keep their original `<slug>-<chapter>` store key so
+   existing threads stay where they are; everything else is keyed
+   `<type>:<slug>[:<unit>:<number>]` (":" never appears in slugs).
+================================ */
+
+export const SUBJECT_UNITS = { manga: "chapter", anime: "episode" };
+
+// Chapter and episode numbers: digits with an optional decimal part
+// ("10", "10.5"). Anything else could hold a "-" or ":" and make the
+// store key parse back as a different subject.
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+export function isSubjectNumber(value) {
+  return NUMBER_PATTERN.test(String(value));
+}
+
+/**
+ * Builds a subject, or returns null when `type`/`unit` do not fit
+ * together or `number` is not a chapter/episode number.
+ */
+export function makeSubject(type, slug, unit = null, number = null) {
+  if (!Object.hasOwn(SUBJECT_UNITS, type) || !slug) return null;
+  if (unit !== null && SUBJECT_UNITS[type] !== unit) return null;
+  if ((unit === null) !== (number === null)) return null;
+  if (number !== null && !isSubjectNumber(number)) return null;
+
+  return { type, slug, unit, number: number === null ? null : String(number) };
+}
+
+export function subjectKey({ type, slug, unit, number }) {
+  if (type === "manga" && unit === "chapter") return `${slug}-${number}`;
+  return unit ? `${type}:${slug}:${unit}:${number}` : `${type}:${slug}`;
+}
+
+export function threadKey(mangaSlug, chapterNumber) {
+  return subjectKey({ type: "manga", slug: mangaSlug, unit: "chapter", number: chapterNumber });
+}
+
+/**
+ * Subject for a store key. Legacy manga keys are split on the LAST "-"
+ * since slugs contain dashes and chapter numbers ("10", "10.5") never do.
+ */
+export function parseSubjectKey(key) {
+  if (key.includes(":")) {
+    const [type, slug, unit = null, number = null] = key.split(":");
+    return makeSubject(type, slug, unit, number) || { type, slug, unit, number };
+  }
+
+  const split = key.lastIndexOf("-");
+  if (split <= 0) return makeSubject("manga", key);
+
+  return makeSubject("manga", key.substring(0, split), "chapter", key.substring(split + 1));
+}
+
+/**
+ * Subject of a comment, preferring what it stored over parsing the key.
+ */
+export function threadOf(key, comment) {
+  if (comment?.subject) return comment.subject;
+
+  // Comments from before subjects existed
+  if (comment?.mangaSlug && comment.chapterNumber != null) {
+    return makeSubject("manga", comment.mangaSlug, "chapter", comment.chapterNumber);
+  }
+
+  return parseSubjectKey(key);
+}
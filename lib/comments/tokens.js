@@ -0,0 +1,73 @@
+import crypto from "crypto";
+
+/* ===============================
+   OWNERSHIP & ADMIN TOKENS
+   Authors get a random token once, at post time; only its
+   SHA-256 hash is stored with the comment or reply.
+================================ */
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function issueToken() {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function matchesToken(token, tokenHash) {
+  if (!token || !tokenHash) return false;
+  return safeEqual(hashToken(token), tokenHash);
+}
+
+/**
+ * True when the request carries COMMENTS_ADMIN_TOKEN as a Bearer token.
+ */
+export function isAdmin(req) {
+  const adminToken = process.env.COMMENTS_ADMIN_TOKEN;
+  const header = req.get("Authorization") || "";
+  if (!adminToken || !header.startsWith("Bearer ")) return false;
+  return safeEqual(hashToken(header.slice(7)), hashToken(adminToken));
+}
+
+/**
+ * Signed-in authors can always modify their own posts; otherwise the author
+ * token comes from the X-Comment-Token header or a `token` body field.
+ */
+export function canModify(req, item) {
+  if (item.userId && req.user?.id === item.userId) return true;
+
+  const token = req.get("X-Comment-Token") || req.body?.token;
+  return isAdmin(req) || matchesToken(token, item.tokenHash);
+}
+
+/**
+ * Name of the moderator making the request, or null. Moderators are
+ * configured as COMMENTS_MODERATOR_TOKENS="name:token,name:token";
+ * the admin token always acts as moderator "admin".
+ */
+export function moderatorOf(req) {
+  if (isAdmin(req)) return "admin";
+
+  const header = req.get("Authorization") || "";
+  if (!header.startsWith("Bearer ")) return null;
+
+  const given = hashToken(header.slice(7));
+
+  for (const entry of (process.env.COMMENTS_MODERATOR_TOKENS || "").split(",")) {
+    const split = entry.indexOf(":");
+    if (split <= 0) continue;
+
+    if (safeEqual(given, hashToken(entry.slice(split + 1).trim()))) {
+      return entry.slice(0, split).trim();
+    }
+  }
+
+  return null;
+}
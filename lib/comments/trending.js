@@ -0,0 +1,144 @@
+import { threadOf } from "./threads.js";
+
+/* ===============================
+   TRENDING DISCUSSIONS
+   Every comment, reply and like inside the window adds its weight,
+   halved for each half-life of age, so a burst of activity today
+   outranks a bigger thread that went quiet last week.
+================================ */
+
+const HOUR = 60 * 60 * 1000;
+
+export const TRENDING_WINDOWS = {
+  "24h": { span: 24 * HOUR, halfLife: 6 * HOUR },
+  "7d": { span: 7 * 24 * HOUR, halfLife: 36 * HOUR },
+  "30d": { span: 30 * 24 * HOUR, halfLife: 5 * 24 * HOUR }
+};
+
+const WEIGHTS = { comment: 3, reply: 2, like: 1 };
+const COUNTERS = { comment: "comments", reply: "replies", like: "likes" };
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Like times were not recorded before trending existed;
+// those likes count as happening when the item was posted
+function likeTimes(item) {
+  const likedAt = Object.values(item.likedAt || {});
+  const untimed = Math.max((item.likes || 0) - likedAt.length, 0);
+  return [...likedAt, ...Array(untimed).fill(item.timestamp)];
+}
+
+function activityOf(comments) {
+  const events = [];
+
+  for (const comment of comments) {
+    events.push({ type: "comment", at: comment.timestamp });
+    likeTimes(comment).forEach(at => events.push({ type: "like", at }));
+
+    for (const reply of comment.replies || []) {
+      events.push({ type: "reply", at: reply.timestamp });
+      likeTimes(reply).forEach(at => events.push({ type: "like", at }));
+    }
+  }
+
+  return events;
+}
+
+function scoreThread(comments, { span, halfLife }, now) {
+  const counts = { comments: 0, replies: 0, likes: 0 };
+  let score = 0;
+  let lastActivity = 0;
+
+  for (const event of activityOf(comments)) {
+    const at = Date.parse(event.at) || 0;
+    const age = now - at;
+    if (age > span) continue;
+
+    score += WEIGHTS[event.type] * 0.5 ** (Math.max(age, 0) / halfLife);
+    counts[COUNTERS[event.type]]++;
+    lastActivity = Math.max(lastActivity, at);
+  }
+
+  return { score, counts, lastActivity };
+}
+
+function bySeries(subject) {
+  return `${subject.type}:${subject.slug}`;
+}
+
+// Manga chapter entries keep the field names the first version used
+function legacyFields(subject) {
+  if (subject.type !== "manga") return {};
+  return { mangaSlug: subject.slug, ...(subject.unit && { chapterNumber: subject.number }) };
+}
+
+/**
+ * Ranks `threads` (`[{ key, comments }]`) for a window from
+ * TRENDING_WINDOWS. Returns the top `limit` threads (chapters,
+ * episodes, series) and the top `limit` manga and anime series.
+ */
+export function rankTrending(threads, windowName, { limit = 10, now = Date.now() } = {}) {
+  const window = TRENDING_WINDOWS[windowName];
+  const ranked = [];
+  const series = new Map();
+
+  for (const { key, comments } of threads) {
+    const { score, counts, lastActivity } = scoreThread(comments, window, now);
+    if (!score) continue;
+
+    const subject = threadOf(key, comments[0]);
+
+    ranked.push({
+      ...subject,
+      ...legacyFields(subject),
+      score: round(score),
+      commentCount: comments.length,
+      activity: counts,
+      recentActivity: new Date(lastActivity).toISOString()
+    });
+
+    const total = series.get(bySeries(subject)) || {
+      type: subject.type,
+      slug: subject.slug,
+      score: 0,
+      threads: 0,
+      activity: { comments: 0, replies: 0, likes: 0 },
+      lastActivity: 0,
+      top: null
+    };
+
+    total.score += score;
+    total.threads++;
+    total.activity.comments += counts.comments;
+    total.activity.replies += counts.replies;
+    total.activity.likes += counts.likes;
+    total.lastActivity = Math.max(total.lastActivity, lastActivity);
+    if (subject.unit && (!total.top || score > total.top.score)) {
+      total.top = { number: subject.number, score };
+    }
+
+    series.set(bySeries(subject), total);
+  }
+
+  const topSeries = type => [...series.values()]
+    .filter(entry => entry.type === type)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ lastActivity, top, score, ...rest }) => ({
+      ...rest,
+      ...legacyFields(rest),
+      score: round(score),
+      [type === "manga" ? "topChapter" : "topEpisode"]: top?.number ?? null,
+      recentActivity: new Date(lastActivity).toISOString()
+    }));
+
+  return {
+    threads: ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit),
+    manga: topSeries("manga"),
+    anime: topSeries("anime")
+  };
+}
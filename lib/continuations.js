@@ -0,0 +1,627 @@
+import crypto from "crypto";
+import path from "path";
+import { anilistQuery } from "./anilist.js";
+import { createCache } from "./cache.js";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+import { getUser } from "./users.js";
+
+/* ===============================
+   ANIME → MANGA CONTINUATIONS
+   Where the source manga picks up after an anime season ends, in
+   continuations.json:
+     { version, mappings: { <animeId>: mapping }, corrections: { <id>: correction } }
+   Mappings (season final episode → last adapted chapter/volume) are
+   curated, seeded from JSON with `npm run seed-continuations`, or
+   community corrections that collected enough net votes. A correction
+   to a curated mapping also needs a moderator's approval, and every
+   replaced mapping is kept in `history` so it can be reverted. Only
+   when an anime has no mapping is an estimate used, labelled as one.
+   The same mappings answer the reverse question: which season and
+   episode adapt a given chapter.
+================================ */
+
+export const MAPPING_SOURCES = ["curated", "community"];
+
+// Net votes for a correction to replace the mapping, or to be dropped
+const ACCEPT_SCORE = parseInt(process.env.CONTINUATION_ACCEPT_SCORE) || 5;
+const REJECT_SCORE = -3;
+
+const CHAPTERS_PER_EPISODE = 2.5;
+const MAX_PREQUELS = 5;
+const MAX_SEQUELS = 10;
+const MAX_NOTE_LENGTH = 300;
+const MAX_PENDING_PER_USER = 20;
+const MAX_MAPPING_HISTORY = 5;
+
+// Earlier seasons worth following for the chapter count; specials and
+// recaps rarely adapt new chapters
+const SEASON_FORMATS = ["TV", "TV_SHORT", "ONA", "MOVIE"];
+
+const doc = openJsonDocument(
+  process.env.CONTINUATIONS_FILE || path.join(DATA_DIR, "continuations.json"),
+  { version: 1, mappings: {}, corrections: {} }
+);
+
+const relationCache = createCache("anime-relations", {
+  ttl: 1000 * 60 * 60 * 24, // relations rarely change
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 1000
+});
+
+const RELATIONS_QUERY = `
+  query ($id: Int, $type: MediaType = ANIME) {
+    Media(id: $id, type: $type) {
+      id
+      title { romaji english }
+      format
+      episodes
+      chapters
+      status
+      relations {
+        edges {
+          relationType(version: 2)
+          node {
+            id
+            type
+            format
+            status
+            title { romaji english }
+            episodes
+            chapters
+            volumes
+          }
+        }
+      }
+    }
+  }
+`;
+
+export class ContinuationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ContinuationError";
+    this.status = status;
+  }
+}
+
+/* ===============================
+   SOURCE LOOKUP
+================================ */
+
+async function mediaRelations(id, type = "ANIME") {
+  const entry = await relationCache.wrap(`relations-${type}-${id}`, async () => {
+    const data = await anilistQuery(RELATIONS_QUERY, { id, type });
+    return data.Media;
+  });
+  return entry.value || null;
+}
+
+function relatedNode(anime, relationType, type) {
+  return anime.relations?.edges?.find(edge =>
+    edge.relationType === relationType && edge.node.type === type
+  )?.node || null;
+}
+
+// The PREQUEL or SEQUEL season of `anime`, skipping specials and recaps
+function adjacentSeason(anime, relationType) {
+  return anime.relations?.edges?.find(edge =>
+    edge.relationType === relationType &&
+    edge.node.type === "ANIME" &&
+    SEASON_FORMATS.includes(edge.node.format)
+  )?.node || null;
+}
+
+function seasonSummary(anime) {
+  return { id: anime.id, title: anime.title, format: anime.format, episodes: anime.episodes, status: anime.status };
+}
+
+/**
+ * The anime, its source manga (the SOURCE relation, never a spin-off
+ * or other related manga) and its seasons, oldest first, following
+ * PREQUEL relations. Sequels often only carry the SOURCE relation on
+ * their first season, so the source may come from a prequel.
+ * Null when AniList has no such anime.
+ */
+export async function findSource(animeId) {
+  const anime = await mediaRelations(animeId);
+  if (!anime) return null;
+
+  const seasons = [seasonSummary(anime)];
+  let source = relatedNode(anime, "SOURCE", "MANGA");
+  let current = anime;
+
+  for (let hops = 0; hops < MAX_PREQUELS; hops++) {
+    const prequel = adjacentSeason(current, "PREQUEL");
+    if (!prequel || seasons.some(season => season.id === prequel.id)) break;
+
+    current = await mediaRelations(prequel.id);
+    if (!current) break;
+
+    seasons.unshift(seasonSummary(current));
+    source ||= relatedNode(current, "SOURCE", "MANGA");
+  }
+
+  return {
+    anime: seasonSummary(anime),
+    source: source && {
+      id: source.id,
+      title: source.title,
+      format: source.format,
+      status: source.status,
+      chapters: source.chapters,
+      volumes: source.volumes
+    },
+    seasons
+  };
+}
+
+/* ===============================
+   MAPPINGS
+================================ */
+
+function cleanNote(value) {
+  return typeof value === "string" ? value.replace(/[<>]/g, "").trim().substring(0, MAX_NOTE_LENGTH) : "";
+}
+
+/**
+ * Validated mapping fields: finalEpisode and lastChapter are required,
+ * lastVolume and note optional. Half chapters (e.g. 52.5) are allowed.
+ */
+export function parseMapping(input = {}) {
+  const finalEpisode = Number(input.finalEpisode);
+  if (!Number.isInteger(finalEpisode) || finalEpisode < 1) {
+    throw new ContinuationError("finalEpisode must be a whole episode number");
+  }
+
+  const lastChapter = Number(input.lastChapter);
+  if (!(lastChapter > 0) || !Number.isInteger(lastChapter * 10)) {
+    throw new ContinuationError("lastChapter must be a chapter number");
+  }
+
+  let lastVolume = null;
+  if (input.lastVolume != null && input.lastVolume !== "") {
+    lastVolume = Number(input.lastVolume);
+    if (!Number.isInteger(lastVolume) || lastVolume < 1) {
+      throw new ContinuationError("lastVolume must be a whole volume number");
+    }
+  }
+
+  return { finalEpisode, lastChapter, lastVolume, note: cleanNote(input.note) };
+}
+
+export function getMapping(animeId) {
+  return doc.data.mappings[animeId] || null;
+}
+
+function toContinuation(mapping, source, isEstimate) {
+  return {
+    finalEpisode: mapping.finalEpisode,
+    lastChapter: mapping.lastChapter,
+    lastVolume: mapping.lastVolume ?? null,
+    nextChapter: Math.floor(mapping.lastChapter) + 1,
+    note: mapping.note || null,
+    source,
+    isEstimate,
+    updatedAt: mapping.updatedAt || null
+  };
+}
+
+/**
+ * Plain episodes-to-chapters guess when nothing else is known: the
+ * chapter after `episodes` × 2.5, never past the last chapter.
+ */
+export function estimateNextChapter(episodes, totalChapters = null) {
+  const lastChapter = Math.round(episodes * CHAPTERS_PER_EPISODE);
+  return (totalChapters ? Math.min(lastChapter, totalChapters) : lastChapter) + 1;
+}
+
+/**
+ * Heuristic for unmapped seasons: chapters adapted per episode from the
+ * latest mapped earlier season (2.5 when there is none), applied to the
+ * episodes since. Capped at the manga's chapter count when known.
+ */
+export function estimateContinuation(seasons, source) {
+  let anchorChapter = 0;
+  let anchorEpisodes = 0;
+  let episodesSince = 0;
+
+  for (const season of seasons) {
+    const mapping = season === seasons[seasons.length - 1] ? null : getMapping(season.id);
+    episodesSince += season.episodes || 0;
+
+    if (mapping) {
+      anchorChapter = mapping.lastChapter;
+      anchorEpisodes += episodesSince;
+      episodesSince = 0;
+    }
+  }
+
+  const finalEpisode = seasons[seasons.length - 1]?.episodes;
+  if (!finalEpisode) return null;
+
+  const pace = anchorChapter && anchorEpisodes ? anchorChapter / anchorEpisodes : CHAPTERS_PER_EPISODE;
+  let lastChapter = Math.round(anchorChapter + episodesSince * pace);
+  if (source?.chapters) lastChapter = Math.min(lastChapter, source.chapters);
+
+  return toContinuation({ finalEpisode, lastChapter: Math.max(lastChapter, 1) }, "estimate", true);
+}
+
+// Stores `mapping` for its anime, keeping the one it replaces in history
+function replaceMapping(mapping) {
+  const { history: older = [], ...existing } = getMapping(mapping.animeId) || {};
+  const history = existing.animeId ? [existing, ...older].slice(0, MAX_MAPPING_HISTORY) : [];
+
+  doc.data.mappings[mapping.animeId] = { ...mapping, history, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Adds or replaces curated mappings from seed data:
+ *   [{ animeId, mangaId?, finalEpisode, lastChapter, lastVolume?, note? }]
+ * Community mappings are kept unless `overwrite` is set; they replace a
+ * curated one only with a moderator's approval.
+ */
+export function seedMappings(entries, { overwrite = false } = {}) {
+  const report = { added: 0, updated: 0, skipped: 0, invalid: [] };
+
+  for (const [index, entry] of entries.entries()) {
+    try {
+      const animeId = Number(entry.animeId);
+      if (!Number.isInteger(animeId) || animeId < 1) {
+        throw new ContinuationError("animeId must be an AniList id");
+      }
+
+      const existing = getMapping(animeId);
+      if (existing?.source === "community" && !overwrite) {
+        report.skipped++;
+        continue;
+      }
+
+      replaceMapping({
+        animeId,
+        mangaId: Number(entry.mangaId) || existing?.mangaId || null,
+        ...parseMapping(entry),
+        source: "curated"
+      });
+      existing ? report.updated++ : report.added++;
+
+    } catch (err) {
+      report.invalid.push({ index, error: err.message });
+    }
+  }
+
+  doc.save();
+  return report;
+}
+
+/**
+ * Where to continue after the anime of `found` (a findSource result):
+ * the mapping when there is one, otherwise the heuristic estimate.
+ * Cheap, so callers that cache `found` can run it per request and
+ * pick up approved corrections and reverts straight away.
+ */
+export function continuationFor(found) {
+  if (!found.source) return null;
+
+  const mapping = getMapping(found.anime.id);
+  return mapping
+    ? toContinuation(mapping, mapping.source, false)
+    : estimateContinuation(found.seasons, found.source);
+}
+
+/**
+ * findSource plus continuationFor. Null when the anime is unknown.
+ */
+export async function getContinuation(animeId) {
+  const found = await findSource(animeId);
+  return found && { ...found, continuation: continuationFor(found) };
+}
+
+/* ===============================
+   CHAPTER → EPISODE
+================================ */
+
+/**
+ * Every season of the series `animeId` belongs to, oldest first: its
+ * prequels (as in findSource) and then its sequels.
+ */
+async function seasonChain(animeId) {
+  const found = await findSource(animeId);
+  if (!found) return null;
+
+  const seasons = [...found.seasons];
+  let current = await mediaRelations(animeId);
+
+  for (let hops = 0; hops < MAX_SEQUELS && current; hops++) {
+    const sequel = adjacentSeason(current, "SEQUEL");
+    if (!sequel || seasons.some(season => season.id === sequel.id)) break;
+
+    current = await mediaRelations(sequel.id);
+    if (current) seasons.push(seasonSummary(current));
+  }
+
+  return { ...found, seasons };
+}
+
+/**
+ * Chapters each season covers: from the chapter after the previous
+ * season's last one up to its own mapped (or estimated) last chapter.
+ * `lastChapter` is null for a season still airing without a mapping.
+ */
+function seasonRanges(seasons, source) {
+  let previous = 0;
+
+  return seasons.map((season, i) => {
+    const mapping = getMapping(season.id);
+    const continuation = mapping
+      ? toContinuation(mapping, mapping.source, false)
+      : estimateContinuation(seasons.slice(0, i + 1), source);
+
+    const range = {
+      anime: season,
+      firstChapter: Math.floor(previous) + 1,
+      lastChapter: continuation?.lastChapter ?? null,
+      source: continuation?.source ?? null,
+      isEstimate: continuation?.isEstimate ?? true
+    };
+
+    if (continuation) previous = continuation.lastChapter;
+    return range;
+  });
+}
+
+// Episode of `range` that adapts `chapter`, assuming an even pace
+function episodeFor(range, chapter) {
+  const episodes = range.anime.episodes;
+  const from = range.firstChapter - 1;
+  if (!episodes || range.lastChapter == null || range.lastChapter <= from) return null;
+
+  const episode = Math.ceil(((chapter - from) / (range.lastChapter - from)) * episodes);
+  return Math.min(Math.max(episode, 1), episodes);
+}
+
+/**
+ * Which anime adapts chapter `chapter` of AniList manga `mangaId`.
+ * Anime come from the manga's ADAPTATION relations, each expanded to
+ * its whole series (remakes are separate series); chapter ranges use
+ * the continuation mappings, with estimates for unmapped seasons.
+ *   status: "animated"     - a season covers the chapter
+ *           "airing"       - past every known range, but a season is
+ *                            still airing and may reach it
+ *           "not_animated" - past every adapted chapter, or no anime
+ * The episode is always an estimate (mappings only record where a
+ * season ends); `adaptation.isEstimate` says whether the season is.
+ * Null when AniList has no such manga.
+ */
+export async function getChapterAdaptation(mangaId, chapter) {
+  const manga = await mediaRelations(mangaId, "MANGA");
+  if (!manga) return null;
+
+  const source = { id: manga.id, title: manga.title, chapters: manga.chapters };
+  const adaptations = (manga.relations?.edges || [])
+    .filter(edge => edge.relationType === "ADAPTATION" && edge.node.type === "ANIME" && SEASON_FORMATS.includes(edge.node.format))
+    .map(edge => edge.node);
+
+  const series = [];
+
+  for (const anime of adaptations) {
+    if (series.some(s => s.seasons.some(range => range.anime.id === anime.id))) continue;
+
+    const chain = await seasonChain(anime.id);
+    // An anime of a spin-off or sister series can list this manga too
+    if (!chain || (chain.source && chain.source.id !== mangaId)) continue;
+
+    series.push({ seasons: seasonRanges(chain.seasons, source) });
+  }
+
+  // Compared with the previous season's exact end so a half chapter
+  // (e.g. 52.5) lands in the right season
+  const matches = series.flatMap(s => s.seasons.filter((range, i) => {
+    const previous = Math.max(0, ...s.seasons.slice(0, i).map(earlier => earlier.lastChapter ?? 0));
+    return range.lastChapter != null && chapter > previous && chapter <= range.lastChapter;
+  }))
+    .map(range => ({ ...range, episode: episodeFor(range, chapter) }))
+    .sort((a, b) => a.isEstimate - b.isEstimate);
+
+  const airing = series
+    .map(s => s.seasons[s.seasons.length - 1])
+    .find(range => range.lastChapter == null && range.anime.status === "RELEASING") || null;
+
+  let status = "not_animated";
+  if (matches.length) status = "animated";
+  else if (airing) status = "airing";
+
+  const lastAdapted = Math.max(0, ...series.flatMap(s => s.seasons).map(range => range.lastChapter ?? 0));
+
+  return {
+    manga: source,
+    chapter,
+    status,
+    adaptation: matches[0] || null,
+    alternatives: matches.slice(1),
+    airing: status === "airing" ? airing.anime : null,
+    lastAdaptedChapter: lastAdapted || null,
+    series
+  };
+}
+
+/* ===============================
+   COMMUNITY CORRECTIONS
+================================ */
+
+function scoreOf(correction) {
+  return Object.values(correction.votes).reduce((sum, vote) => sum + vote, 0);
+}
+
+export function publicCorrection(correction, voter = null) {
+  return {
+    id: correction.id,
+    animeId: correction.animeId,
+    finalEpisode: correction.finalEpisode,
+    lastChapter: correction.lastChapter,
+    lastVolume: correction.lastVolume,
+    note: correction.note || null,
+    status: correction.status,
+    score: scoreOf(correction),
+    votes: Object.keys(correction.votes).length,
+    submittedBy: getUser(correction.userId)?.username || null,
+    createdAt: correction.createdAt,
+    ...(voter && { myVote: correction.votes[voter] || 0 })
+  };
+}
+
+export function getCorrection(animeId, id) {
+  const correction = doc.data.corrections[id];
+  return correction && correction.animeId === animeId ? correction : null;
+}
+
+/**
+ * Pending, in-review and accepted corrections for an anime, best
+ * scored first.
+ */
+export function listCorrections(animeId) {
+  return Object.values(doc.data.corrections)
+    .filter(correction => correction.animeId === animeId && !["rejected", "reverted"].includes(correction.status))
+    .sort((a, b) => scoreOf(b) - scoreOf(a) || Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Submits a correction, or replaces the user's pending one for the
+ * same anime (its votes start over).
+ */
+export function submitCorrection(userId, animeId, mangaId, input) {
+  const fields = parseMapping(input);
+  const pending = Object.values(doc.data.corrections).filter(c => c.userId === userId && c.status === "pending");
+
+  const own = pending.find(c => c.animeId === animeId);
+  if (!own && pending.length >= MAX_PENDING_PER_USER) {
+    throw new ContinuationError("Too many pending corrections", 429);
+  }
+
+  const correction = own || {
+    id: crypto.randomUUID(),
+    animeId,
+    userId,
+    status: "pending",
+    createdAt: new Date().toISOString()
+  };
+
+  Object.assign(correction, fields, { mangaId, votes: {}, updatedAt: new Date().toISOString() });
+  doc.data.corrections[correction.id] = correction;
+  doc.save();
+
+  return correction;
+}
+
+function applyCorrection(correction, moderator = null) {
+  correction.status = "accepted";
+  if (moderator) correction.reviewedBy = moderator;
+
+  replaceMapping({
+    animeId: correction.animeId,
+    mangaId: correction.mangaId,
+    finalEpisode: correction.finalEpisode,
+    lastChapter: correction.lastChapter,
+    lastVolume: correction.lastVolume,
+    note: correction.note,
+    source: "community",
+    correctionId: correction.id
+  });
+}
+
+/**
+ * Records `userId`'s vote (1, -1, or 0 to withdraw). A correction at
+ * ACCEPT_SCORE becomes the anime's mapping, or goes to moderator review
+ * ("review") when it would replace a curated one; one at REJECT_SCORE
+ * is dropped from the list.
+ */
+export function voteCorrection(correction, userId, vote) {
+  if (![1, -1, 0].includes(vote)) {
+    throw new ContinuationError("vote must be 1, -1 or 0");
+  }
+  if (correction.userId === userId) {
+    throw new ContinuationError("You cannot vote on your own correction", 403);
+  }
+  if (correction.status !== "pending") {
+    throw new ContinuationError(`Correction is already ${correction.status}`, 409);
+  }
+
+  if (vote) correction.votes[userId] = vote;
+  else delete correction.votes[userId];
+
+  const score = scoreOf(correction);
+
+  if (score >= ACCEPT_SCORE) {
+    if (getMapping(correction.animeId)?.source === "curated") correction.status = "review";
+    else applyCorrection(correction);
+  } else if (score <= REJECT_SCORE) {
+    correction.status = "rejected";
+  }
+
+  doc.save();
+  return correction;
+}
+
+/**
+ * Corrections waiting for a moderator, oldest first.
+ */
+export function reviewQueue() {
+  return Object.values(doc.data.corrections)
+    .filter(correction => correction.status === "review")
+    .sort((a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt));
+}
+
+export function findCorrection(id) {
+  return doc.data.corrections[id] || null;
+}
+
+/**
+ * Moderator decision on a pending or in-review correction.
+ */
+export function reviewCorrection(correction, approve, moderator) {
+  if (!["pending", "review"].includes(correction.status)) {
+    throw new ContinuationError(`Correction is already ${correction.status}`, 409);
+  }
+
+  if (approve) {
+    applyCorrection(correction, moderator);
+  } else {
+    correction.status = "rejected";
+    correction.reviewedBy = moderator;
+  }
+
+  doc.save();
+  return correction;
+}
+
+/**
+ * Restores the mapping `animeId` had before its latest change (or
+ * removes it when there was none). The correction behind a reverted
+ * community mapping is marked "reverted".
+ */
+export function revertMapping(animeId) {
+  const current = getMapping(animeId);
+  if (!current) throw new ContinuationError("No mapping to revert", 404);
+
+  const [previous, ...older] = current.history || [];
+
+  if (previous) doc.data.mappings[animeId] = { ...previous, history: older };
+  else delete doc.data.mappings[animeId];
+
+  const correction = current.correctionId && findCorrection(current.correctionId);
+  if (correction) correction.status = "reverted";
+
+  doc.save();
+  return getMapping(animeId);
+}
+
+export function removeCorrection(correction) {
+  delete doc.data.corrections[correction.id];
+  doc.save();
+}
+
+/**
+ * Writes pending changes now; for scripts that exit right after.
+ */
+export function flushContinuations() {
+  return doc.flush();
+}
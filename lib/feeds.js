@@ -0,0 +1,112 @@
+/* ===============================
+   RSS 2.0 / ATOM RENDERING
+   Routes describe a feed once and render it in either format:
+     { id, title, description, link, selfUrl, alternateUrl, image,
+       updated, items: [{ id, title, link, summary, published }] }
+   `link` is the SEO page the feed is about; item ids are stable
+   tag: URIs so readers never show an entry twice.
+================================ */
+
+export const FEED_TYPES = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8"
+};
+
+const GENERATOR = "MangaNext";
+
+export function escapeXml(value = "") {
+  return String(value)
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Plain text from AniList's HTML-ish descriptions.
+ */
+export function plainText(html = "", maxLength = 500) {
+  const text = String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * tag: URI (RFC 4151) for a feed or entry, e.g. tagUri("manga/one-piece/chapter/1100").
+ */
+export function tagUri(path) {
+  return `tag:manganext.netlify.app,2024:${path}`;
+}
+
+/**
+ * Newest item date, falling back to `fallback` for empty feeds.
+ */
+export function feedUpdated(items, fallback = new Date()) {
+  const times = items.map(item => Date.parse(item.published)).filter(time => !isNaN(time));
+  return new Date(times.length ? Math.max(...times) : fallback);
+}
+
+export function renderRss(feed) {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      ${item.summary ? `<description>${escapeXml(item.summary)}</description>` : ""}
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <generator>${GENERATOR}</generator>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />
+    ${feed.image ? `<image>
+      <url>${escapeXml(feed.image)}</url>
+      <title>${escapeXml(feed.title)}</title>
+      <link>${escapeXml(feed.link)}</link>
+    </image>` : ""}
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.published).toISOString()}</updated>
+    ${item.summary ? `<summary>${escapeXml(item.summary)}</summary>` : ""}
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.id)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}" />
+  ${feed.alternateUrl ? `<link rel="alternate" type="application/rss+xml" href="${escapeXml(feed.alternateUrl)}" />` : ""}
+  <author><name>${GENERATOR}</name></author>
+  <generator>${GENERATOR}</generator>
+  ${feed.image ? `<icon>${escapeXml(feed.image)}</icon>` : ""}
+${entries.join("\n")}
+</feed>
+`;
+}
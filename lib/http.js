@@ -0,0 +1,53 @@
+/* ===============================
+   HTTP RESPONSE HELPERS
+================================ */
+
+export const STALE_HEADER = "X-Cache-Status";
+
+// Stale data should not be pinned by CDNs once the upstream recovers
+const STALE_CACHE_CONTROL = "public, max-age=60";
+
+/**
+ * Marks a response as served from last-known-good data. The header is
+ * the only signal: bodies keep their normal shape, so array payloads
+ * such as the home lists stay arrays. CORS exposes it to the frontend.
+ */
+export function markStale(res) {
+  res.setHeader(STALE_HEADER, "stale");
+  res.setHeader("Cache-Control", STALE_CACHE_CONTROL);
+}
+
+/**
+ * Sends a cache entry returned by `cache.wrap()` as JSON.
+ * Last-Modified comes from when the entry was fetched, so together with
+ * the body-hash ETag Express answers conditional requests with a 304.
+ * Pass `computed` when the handler adds live values (ratings, air-time
+ * countdowns) to the entry: the body then changes without the entry
+ * changing, so only the ETag can validate it.
+ */
+export function sendCached(res, entry, { computed = false } = {}) {
+  if (entry.stale) markStale(res);
+  if (!computed) res.setHeader("Last-Modified", new Date(entry.timestamp).toUTCString());
+  res.json(entry.value);
+}
+
+/**
+ * Router-level Cache-Control policy. Applied when headers are written so
+ * that error responses can be excluded; handlers that set their own
+ * Cache-Control header win.
+ */
+export function cacheControl(policy) {
+  return (req, res, next) => {
+    const writeHead = res.writeHead;
+
+    res.writeHead = function (statusCode, ...args) {
+      const status = typeof statusCode === "number" ? statusCode : res.statusCode;
+      if (!res.getHeader("Cache-Control")) {
+        res.setHeader("Cache-Control", status < 400 ? policy : "no-store");
+      }
+      return writeHead.call(this, statusCode, ...args);
+    };
+
+    next();
+  };
+}
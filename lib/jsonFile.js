@@ -0,0 +1,69 @@
+import fs from "fs";
+import path from "path";
+import { onShutdown } from "./shutdown.js";
+
+/* ===============================
+   JSON FILE HELPERS
+   Writes go to a temp file first and are renamed into place,
+   so a crash mid-write never leaves a truncated file behind.
+================================ */
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "storage");
+
+export function readJsonFileSync(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Failed to read ${file}:`, err.message);
+    }
+    return fallback;
+  }
+}
+
+export function writeJsonFileSync(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+export async function writeJsonFile(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * In-memory JSON document persisted to `file`. Mutate `doc.data`, then
+ * call `doc.save()`; writes are batched and flushed on shutdown.
+ */
+export function openJsonDocument(file, fallback, { flushDelay = 1000 } = {}) {
+  let timer = null;
+
+  const doc = {
+    file,
+    data: readJsonFileSync(file, null) ?? fallback,
+
+    save() {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        writeJsonFile(file, doc.data).catch(err =>
+          console.error(`Failed to write ${file}:`, err.message)
+        );
+      }, flushDelay);
+    },
+
+    flush() {
+      if (!timer) return;
+      clearTimeout(timer);
+      timer = null;
+      writeJsonFileSync(file, doc.data);
+    }
+  };
+
+  onShutdown(() => doc.flush());
+  return doc;
+}
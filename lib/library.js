@@ -0,0 +1,313 @@
+import path from "path";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+
+/* ===============================
+   READING / WATCHING LIBRARY
+   One entry per user per AniList media id, in library.json:
+     { version, users: { <userId>: { <mediaId>: entry } } }
+   Title, cover and chapter/episode totals are copied from the
+   AniList media when an entry is saved so lists render without
+   another AniList round trip.
+================================ */
+
+export const LIBRARY_STATUSES = ["reading", "watching", "completed", "planning", "dropped"];
+export const MEDIA_TYPES = ["MANGA", "ANIME"];
+
+// "In progress" status for each media type
+const ACTIVE_STATUS = { MANGA: "reading", ANIME: "watching" };
+
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+const MAX_NOTES_LENGTH = 2000;
+
+const doc = openJsonDocument(
+  process.env.LIBRARY_FILE || path.join(DATA_DIR, "library.json"),
+  { version: 1, users: {} }
+);
+
+export class LibraryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "LibraryError";
+    this.status = status;
+  }
+}
+
+export function activeStatus(type) {
+  return ACTIVE_STATUS[type];
+}
+
+/**
+ * Validated status for a media type. "reading" is manga-only and
+ * "watching" anime-only; the other statuses apply to both.
+ */
+function parseStatus(value, type) {
+  if (!LIBRARY_STATUSES.includes(value)) {
+    throw new LibraryError(`status must be one of: ${LIBRARY_STATUSES.join(", ")}`);
+  }
+  if ((value === "reading" || value === "watching") && value !== ACTIVE_STATUS[type]) {
+    throw new LibraryError(`Use "${ACTIVE_STATUS[type]}" for ${type.toLowerCase()}`);
+  }
+  return value;
+}
+
+export function parseProgress(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new LibraryError("progress must be a whole number of chapters or episodes");
+  }
+  return n;
+}
+
+function parseScore(value) {
+  if (value === null) return null;
+
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < MIN_SCORE || n > MAX_SCORE) {
+    throw new LibraryError(`score must be a whole number from ${MIN_SCORE} to ${MAX_SCORE}, or null`);
+  }
+  return n;
+}
+
+function parseNotes(value) {
+  if (value === null) return "";
+  if (typeof value !== "string") throw new LibraryError("notes must be text");
+  return value.replace(/[<>]/g, "").trim().substring(0, MAX_NOTES_LENGTH);
+}
+
+function mediaFields(media) {
+  return {
+    type: media.type,
+    title: media.title,
+    coverImage: media.coverImage?.large || media.coverImage?.extraLarge || null,
+    format: media.format || null,
+    // Chapters for manga, episodes for anime; null while still releasing
+    total: (media.type === "ANIME" ? media.episodes : media.chapters) || null,
+    idMal: media.idMal || null
+  };
+}
+
+/**
+ * Status that follows from a progress change: planned titles become
+ * active once started, and reaching the known total completes them.
+ */
+function statusForProgress(entry, explicitStatus) {
+  if (explicitStatus) return entry.status;
+  if (entry.total && entry.progress >= entry.total) return "completed";
+  if (entry.status === "planning" && entry.progress > 0) return ACTIVE_STATUS[entry.type];
+  return entry.status;
+}
+
+function userEntries(userId) {
+  return doc.data.users[userId] || {};
+}
+
+export function getEntry(userId, mediaId) {
+  return userEntries(userId)[mediaId] || null;
+}
+
+/**
+ * The user's entries, most recently updated first, optionally filtered
+ * by status and/or media type.
+ */
+export function listEntries(userId, { status, type } = {}) {
+  return Object.values(userEntries(userId))
+    .filter(entry => (!status || entry.status === status) && (!type || entry.type === type))
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+}
+
+/**
+ * Distinct media of `type` in anyone's library, dropped entries aside,
+ * as a Map of media id to the newest saved entry.
+ */
+export function trackedMedia(type) {
+  const tracked = new Map();
+
+  for (const entries of Object.values(doc.data.users)) {
+    for (const entry of Object.values(entries)) {
+      if (entry.type !== type || entry.status === "dropped") continue;
+
+      const known = tracked.get(entry.mediaId);
+      if (!known || Date.parse(entry.updatedAt) > Date.parse(known.updatedAt)) {
+        tracked.set(entry.mediaId, entry);
+      }
+    }
+  }
+
+  return tracked;
+}
+
+export function countByStatus(userId) {
+  const counts = Object.fromEntries(LIBRARY_STATUSES.map(status => [status, 0]));
+  for (const entry of Object.values(userEntries(userId))) counts[entry.status]++;
+  return counts;
+}
+
+/**
+ * Creates or updates the entry for `media` (AniList media data).
+ * `changes` may hold status, progress, score and notes; everything is
+ * validated before the entry is touched.
+ */
+export function saveEntry(userId, media, changes = {}) {
+  const existing = getEntry(userId, media.id);
+  const fields = mediaFields(media);
+  const next = {};
+
+  if ("status" in changes) next.status = parseStatus(changes.status, fields.type);
+  if ("progress" in changes) next.progress = parseProgress(changes.progress);
+  if ("score" in changes) next.score = parseScore(changes.score);
+  if ("notes" in changes) next.notes = parseNotes(changes.notes);
+
+  const now = new Date().toISOString();
+  const entry = {
+    mediaId: media.id,
+    status: "planning",
+    progress: 0,
+    score: null,
+    notes: "",
+    createdAt: now,
+    ...existing,
+    ...fields,
+    ...next,
+    updatedAt: now
+  };
+
+  if (entry.total) entry.progress = Math.min(entry.progress, entry.total);
+  entry.status = statusForProgress(entry, "status" in changes);
+  if (entry.status === "completed" && !entry.completedAt) entry.completedAt = now;
+  if (entry.status !== "completed") delete entry.completedAt;
+
+  doc.data.users[userId] = { ...doc.data.users[userId], [media.id]: entry };
+  doc.save();
+  return entry;
+}
+
+/**
+ * Records that the user reached chapter/episode `number`. Progress only
+ * moves forward unless `force` is set, so reopening an old chapter does
+ * not rewind the library.
+ */
+export function recordProgress(userId, media, number, { force = false } = {}) {
+  const progress = parseProgress(number);
+  const existing = getEntry(userId, media.id);
+
+  if (existing && !force && progress <= existing.progress) {
+    return { entry: existing, updated: false };
+  }
+
+  const changes = { progress };
+
+  // Dropped or completed titles being read again become active again
+  if (existing && (existing.status === "dropped" || existing.status === "completed")) {
+    changes.status = ACTIVE_STATUS[media.type];
+  }
+
+  let entry = saveEntry(userId, media, changes);
+
+  // Re-run the completion rule the explicit status above skipped
+  if (changes.status && entry.total && entry.progress >= entry.total) {
+    entry = saveEntry(userId, media, { status: "completed" });
+  }
+
+  return { entry, updated: true };
+}
+
+export function removeEntry(userId, mediaId) {
+  const entries = doc.data.users[userId];
+  if (!entries?.[mediaId]) return false;
+
+  delete entries[mediaId];
+  if (!Object.keys(entries).length) delete doc.data.users[userId];
+  doc.save();
+  return true;
+}
+
+/* ===============================
+   IMPORT MERGE
+   Strategies for titles already in the library:
+     merge   - furthest progress wins (status comes with it), existing
+               score and notes are kept unless empty
+     keep    - library values win
+     replace - imported values win
+================================ */
+
+export const IMPORT_STRATEGIES = ["merge", "keep", "replace"];
+
+const MERGE_FIELDS = ["status", "progress", "score", "notes"];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function resolveField(field, library, imported, strategy, progressWinner) {
+  if (strategy === "keep" || isEmpty(imported)) return "library";
+  if (strategy === "replace" || isEmpty(library)) return "imported";
+  if (field === "status" || field === "progress") return progressWinner;
+  return "library";
+}
+
+/**
+ * Merges imported entries (`{ media, status, progress, score, notes }`,
+ * already matched to AniList media) into a user's library. Returns
+ * counts and a per-title conflict report; with `dryRun` nothing is saved.
+ */
+export function importEntries(userId, imported, { strategy = "merge", dryRun = false } = {}) {
+  const report = { added: 0, updated: 0, unchanged: 0, invalid: [], conflicts: [] };
+
+  for (const item of imported) {
+    const { media } = item;
+    const existing = getEntry(userId, media.id);
+    const values = {};
+
+    try {
+      for (const field of MERGE_FIELDS) {
+        if (isEmpty(item[field])) continue;
+        values[field] = field === "status" ? parseStatus(item[field], media.type)
+          : field === "progress" ? parseProgress(item[field])
+          : field === "score" ? parseScore(item[field])
+          : parseNotes(item[field]);
+      }
+    } catch (err) {
+      if (!(err instanceof LibraryError)) throw err;
+      report.invalid.push({ mediaId: media.id, title: media.title, error: err.message });
+      continue;
+    }
+
+    if (!existing) {
+      if (!dryRun) saveEntry(userId, media, values);
+      report.added++;
+      continue;
+    }
+
+    const progressWinner = (values.progress ?? 0) > existing.progress ? "imported" : "library";
+    const fields = [];
+    const changes = {};
+
+    for (const field of MERGE_FIELDS) {
+      if (!(field in values) || values[field] === existing[field]) continue;
+
+      const kept = resolveField(field, existing[field], values[field], strategy, progressWinner);
+      if (kept === "imported") changes[field] = values[field];
+
+      // Filling an empty library field is not a conflict
+      if (!isEmpty(existing[field])) {
+        fields.push({ field, library: existing[field], imported: values[field], kept });
+      }
+    }
+
+    if (fields.length) {
+      report.conflicts.push({ mediaId: media.id, type: media.type, title: media.title, fields });
+    }
+
+    if (!Object.keys(changes).length) {
+      report.unchanged++;
+      continue;
+    }
+
+    // An explicit status keeps the auto planning/completed rules out of the way
+    if (!dryRun) saveEntry(userId, media, { status: existing.status, ...changes });
+    report.updated++;
+  }
+
+  return report;
+}
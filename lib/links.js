@@ -0,0 +1,44 @@
+/* ===============================
+   PUBLIC LINKS
+   URLs of the SEO pages (served by server.js), for anything that
+   links back to the site from outside it: webhooks, feeds, calendars.
+   The SEO pages carry the Open Graph tags and redirect people on to
+   the frontend.
+================================ */
+
+export const SITE_URL = "https://manganext-backend.onrender.com";
+export const FRONTEND_URL = "https://manganext.netlify.app";
+
+/**
+ * Site slug for a title, same rules as the frontend slugify.
+ */
+export function slugify(title) {
+  return String(title || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+}
+
+/**
+ * Slug for an AniList title object ({ romaji, english }).
+ */
+export function mediaSlug(title) {
+  return slugify(title?.english || title?.romaji);
+}
+
+export function mangaUrl(slug) {
+  return `${SITE_URL}/manga/${slug}`;
+}
+
+export function chapterUrl(slug, number) {
+  return `${SITE_URL}/manga/${slug}/chapter-${number}`;
+}
+
+export function animeUrl(id, slug) {
+  return `${SITE_URL}/anime/${id}/${slug}`;
+}
+
+export function episodeUrl(id, slug, number) {
+  return `${SITE_URL}/anime/${id}/${slug}/episode-${number}`;
+}
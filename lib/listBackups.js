@@ -0,0 +1,442 @@
+import zlib from "zlib";
+import { findMediaByIds, findMediaByMalIds } from "./media.js";
+import { activeStatus } from "./library.js";
+
+/* ===============================
+   LIST BACKUPS
+   Import: MyAnimeList XML exports (plain or .xml.gz) and AniList
+   JSON list exports. Entries come out as
+     { source, sourceId, type, title, status, progress, score, notes }
+   and are then matched to AniList media.
+   Export: MAL-compatible XML (one media type per file) and CSV.
+================================ */
+
+export const IMPORT_FORMATS = ["mal", "anilist"];
+export const EXPORT_FORMATS = ["mal", "csv"];
+export const SCORE_FORMATS = ["POINT_100", "POINT_10_DECIMAL", "POINT_10", "POINT_5", "POINT_3"];
+
+// Upload Content-Types. None of them can be sent by a plain HTML form,
+// so a cross-site upload always needs a CORS preflight.
+export const IMPORT_CONTENT_TYPES = [
+  "application/json",
+  "application/xml",
+  "text/xml",
+  "application/gzip",
+  "application/x-gzip",
+  "application/octet-stream"
+];
+
+const MAX_ENTRIES = 5000;
+const MAX_UNZIPPED_SIZE = 1024 * 1024 * 50; // 50 MB
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+    this.status = 400;
+  }
+}
+
+/* ===============================
+   DECODING
+================================ */
+
+/**
+ * Upload body (Buffer) as text, gunzipping MAL's .xml.gz exports.
+ */
+export function decodeUpload(body) {
+  if (!Buffer.isBuffer(body) || !body.length) {
+    throw new BackupError("Upload the exported list file as the request body");
+  }
+
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      return zlib.gunzipSync(body, { maxOutputLength: MAX_UNZIPPED_SIZE }).toString("utf8");
+    } catch {
+      throw new BackupError("Could not unzip the uploaded file");
+    }
+  }
+
+  return body.toString("utf8");
+}
+
+/**
+ * "mal" or "anilist" from the file contents, or null.
+ */
+export function detectFormat(text) {
+  const start = text.trimStart().replace(/^\uFEFF/, "");
+  if (start.startsWith("<")) return "mal";
+  if (start.startsWith("{") || start.startsWith("[")) return "anilist";
+  return null;
+}
+
+/* ===============================
+   MYANIMELIST XML
+================================ */
+
+const MAL_STATUSES = {
+  "watching": "active",
+  "reading": "active",
+  "completed": "completed",
+  "on-hold": "on-hold",
+  "dropped": "dropped",
+  "plan to watch": "planning",
+  "plan to read": "planning"
+};
+
+// MAL's numeric status codes, used by some older exports
+const MAL_STATUS_CODES = { 1: "active", 2: "completed", 3: "on-hold", 4: "dropped", 6: "planning" };
+
+function decodeXmlText(raw) {
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+
+  return raw
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function xmlFields(block) {
+  const fields = {};
+  for (const [, name, value] of block.matchAll(/<([a-z_]+)>([\s\S]*?)<\/\1>/g)) {
+    fields[name] = decodeXmlText(value);
+  }
+  return fields;
+}
+
+function wholeNumber(value) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+export function parseMalXml(text) {
+  if (!/<myanimelist[\s>]/.test(text)) {
+    throw new BackupError("Not a MyAnimeList export (missing <myanimelist>)");
+  }
+
+  const entries = [];
+
+  for (const [, tag, block] of text.matchAll(/<(anime|manga)>([\s\S]*?)<\/\1>/g)) {
+    const type = tag === "anime" ? "ANIME" : "MANGA";
+    const fields = xmlFields(block);
+    const sourceId = wholeNumber(type === "ANIME" ? fields.series_animedb_id : fields.manga_mangadb_id);
+
+    const rawStatus = String(fields.my_status || "").toLowerCase();
+    const status = MAL_STATUSES[rawStatus] || MAL_STATUS_CODES[rawStatus] || null;
+
+    entries.push({
+      source: "mal",
+      sourceId,
+      type,
+      title: (type === "ANIME" ? fields.series_title : fields.manga_title) || null,
+      status,
+      progress: wholeNumber(type === "ANIME" ? fields.my_watched_episodes : fields.my_read_chapters),
+      score: wholeNumber(fields.my_score) || null,
+      notes: fields.my_comments || ""
+    });
+  }
+
+  return entries;
+}
+
+/* ===============================
+   ANILIST JSON
+   Accepts the MediaListCollection shape returned by the AniList API
+   ({ data: { MediaListCollection: { lists } } }, with or without the
+   `data` wrapper), separate { anime, manga } collections, or a bare
+   array of list entries. Scores are in the user's score format, read
+   from `user.mediaListOptions.scoreFormat` when the export has it.
+================================ */
+
+const ANILIST_STATUSES = {
+  CURRENT: "active",
+  REPEATING: "active",
+  PAUSED: "on-hold",
+  COMPLETED: "completed",
+  DROPPED: "dropped",
+  PLANNING: "planning"
+};
+
+function collectListEntries(node, type = null, found = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      if (item && (item.mediaId || item.media?.id)) found.push({ item, type });
+      else if (Array.isArray(item?.entries)) collectListEntries(item.entries, type, found);
+    }
+    return found;
+  }
+
+  if (!node || typeof node !== "object") return found;
+
+  if (node.data) collectListEntries(node.data, type, found);
+  if (node.MediaListCollection) collectListEntries(node.MediaListCollection, type, found);
+  if (node.lists) collectListEntries(node.lists, type, found);
+  if (node.entries) collectListEntries(node.entries, type, found);
+  if (node.anime) collectListEntries(node.anime, "ANIME", found);
+  if (node.manga) collectListEntries(node.manga, "MANGA", found);
+
+  return found;
+}
+
+// POINT_3 smileys, as AniList itself converts them to 100 points (35, 60, 85)
+const POINT_3_SCORES = { 1: 3.5, 2: 6, 3: 8.5 };
+
+function findScoreFormat(node, depth = 0) {
+  if (!node || typeof node !== "object" || Array.isArray(node) || depth > 3) return null;
+
+  const format = node.mediaListOptions?.scoreFormat || node.scoreFormat;
+  if (SCORE_FORMATS.includes(format)) return format;
+
+  for (const key of ["data", "MediaListCollection", "user", "anime", "manga"]) {
+    const found = findScoreFormat(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Score on the 1-10 scale from `value` in AniList `scoreFormat`. With
+ * no known format, anything above 10 is taken as the 100 point scale
+ * and the rest as 10 point.
+ */
+function anilistScore(value, scoreFormat) {
+  const n = Number(value);
+  if (!n || n < 0) return null;
+
+  let score;
+  switch (scoreFormat) {
+    case "POINT_100": score = n / 10; break;
+    case "POINT_10_DECIMAL":
+    case "POINT_10": score = n; break;
+    case "POINT_5": score = n * 2; break;
+    case "POINT_3": score = POINT_3_SCORES[n]; break;
+    default: score = n > 10 ? n / 10 : n;
+  }
+
+  if (!score) return null;
+  return Math.min(Math.max(Math.round(score), 1), 10);
+}
+
+/**
+ * `scoreFormat` overrides the one found in the file.
+ */
+export function parseAniListJson(text, { scoreFormat } = {}) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new BackupError("Not valid JSON");
+  }
+
+  const seen = new Set();
+  const entries = [];
+  const format = scoreFormat || findScoreFormat(json);
+
+  for (const { item, type: listType } of collectListEntries(json)) {
+    const sourceId = wholeNumber(item.mediaId || item.media?.id);
+
+    // Custom lists repeat entries that are already in a status list
+    if (!sourceId || seen.has(sourceId)) continue;
+    seen.add(sourceId);
+
+    entries.push({
+      source: "anilist",
+      sourceId,
+      type: item.media?.type || listType,
+      title: item.media?.title?.english || item.media?.title?.romaji || null,
+      status: ANILIST_STATUSES[item.status] || null,
+      progress: wholeNumber(item.progress),
+      score: anilistScore(item.score, format),
+      notes: typeof item.notes === "string" ? item.notes : ""
+    });
+  }
+
+  return entries;
+}
+
+export function parseBackup(text, format = detectFormat(text), { scoreFormat } = {}) {
+  let entries;
+  if (format === "mal") entries = parseMalXml(text);
+  else if (format === "anilist") entries = parseAniListJson(text, { scoreFormat });
+  else throw new BackupError("Unrecognised file; expected MyAnimeList XML or AniList JSON");
+
+  if (!entries.length) {
+    throw new BackupError("No list entries found in the file");
+  }
+  if (entries.length > MAX_ENTRIES) {
+    throw new BackupError(`Lists are limited to ${MAX_ENTRIES} entries per import`);
+  }
+
+  return { format, entries };
+}
+
+/* ===============================
+   MATCHING TO ANILIST
+================================ */
+
+/**
+ * Pairs each parsed entry with its AniList media (`entry.media`).
+ * MAL ids go through AniList's idMal lookup; entries that match
+ * nothing are returned separately. On-hold/paused has no library
+ * equivalent, so those entries become reading/watching and are counted.
+ */
+export async function matchEntries(entries) {
+  const byKey = new Map();
+
+  const anilistIds = entries.filter(e => e.source === "anilist").map(e => e.sourceId);
+  for (const media of await findMediaByIds(anilistIds)) {
+    byKey.set(`anilist-${media.id}`, media);
+  }
+
+  for (const type of ["ANIME", "MANGA"]) {
+    const malIds = entries.filter(e => e.source === "mal" && e.type === type && e.sourceId).map(e => e.sourceId);
+    if (!malIds.length) continue;
+
+    for (const media of await findMediaByMalIds(malIds, type)) {
+      byKey.set(`mal-${type}-${media.idMal}`, media);
+    }
+  }
+
+  const matched = [];
+  const unmatched = [];
+  let onHold = 0;
+
+  for (const entry of entries) {
+    const key = entry.source === "mal" ? `mal-${entry.type}-${entry.sourceId}` : `anilist-${entry.sourceId}`;
+    const media = byKey.get(key);
+
+    if (media) {
+      if (entry.status === "on-hold") onHold++;
+
+      const status = entry.status === "active" || entry.status === "on-hold"
+        ? activeStatus(media.type)
+        : entry.status;
+      matched.push({ ...entry, type: media.type, status, media });
+    } else {
+      unmatched.push({
+        source: entry.source,
+        sourceId: entry.sourceId,
+        type: entry.type || null,
+        title: entry.title,
+        reason: entry.sourceId ? "No matching AniList media" : "Missing id"
+      });
+    }
+  }
+
+  return { matched, unmatched, onHold };
+}
+
+/* ===============================
+   EXPORT
+================================ */
+
+const MAL_EXPORT_STATUSES = {
+  ANIME: { watching: "Watching", completed: "Completed", dropped: "Dropped", planning: "Plan to Watch" },
+  MANGA: { reading: "Reading", completed: "Completed", dropped: "Dropped", planning: "Plan to Read" }
+};
+
+function cdata(value) {
+  // "]]>" cannot appear inside a CDATA section, so split it across two
+  return `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function malDate(iso) {
+  return iso ? iso.substring(0, 10) : "0000-00-00";
+}
+
+function entryTitle(entry) {
+  return entry.title?.english || entry.title?.romaji || "";
+}
+
+/**
+ * MAL-compatible XML for the `type` entries of a library. Entries
+ * without a MAL id cannot be imported by MAL and are left out.
+ */
+export function toMalXml(entries, type, username) {
+  const anime = type === "ANIME";
+  const exportable = entries.filter(e => e.type === type && e.idMal);
+  const skipped = entries.filter(e => e.type === type && !e.idMal).length;
+
+  const items = exportable.map(entry => {
+    const status = MAL_EXPORT_STATUSES[type][entry.status] || MAL_EXPORT_STATUSES[type][activeStatus(type)];
+
+    const fields = anime
+      ? [
+          ["series_animedb_id", entry.idMal],
+          ["series_title", cdata(entryTitle(entry))],
+          ["series_episodes", entry.total || 0],
+          ["my_watched_episodes", entry.progress]
+        ]
+      : [
+          ["manga_mangadb_id", entry.idMal],
+          ["manga_title", cdata(entryTitle(entry))],
+          ["manga_chapters", entry.total || 0],
+          ["my_read_chapters", entry.progress]
+        ];
+
+    fields.push(
+      ["my_start_date", "0000-00-00"],
+      ["my_finish_date", malDate(entry.completedAt)],
+      ["my_score", entry.score || 0],
+      ["my_status", status],
+      ["my_comments", cdata(entry.notes)],
+      ["update_on_import", 1]
+    );
+
+    const body = fields.map(([name, value]) => `    <${name}>${value}</${name}>`).join("\n");
+    return `  <${anime ? "anime" : "manga"}>\n${body}\n  </${anime ? "anime" : "manga"}>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8" ?>`,
+    `<myanimelist>`,
+    `  <myinfo>`,
+    `    <user_name>${cdata(username)}</user_name>`,
+    `    <user_export_type>${anime ? 1 : 2}</user_export_type>`,
+    `    <user_total_${anime ? "anime" : "manga"}>${exportable.length}</user_total_${anime ? "anime" : "manga"}>`,
+    `  </myinfo>`,
+    ...(skipped ? [`  <!-- ${skipped} entries without a MyAnimeList id were left out -->`] : []),
+    ...items,
+    `</myanimelist>`,
+    ""
+  ].join("\n");
+}
+
+const CSV_COLUMNS = [
+  ["type", e => e.type.toLowerCase()],
+  ["anilist_id", e => e.mediaId],
+  ["mal_id", e => e.idMal || ""],
+  ["title", e => entryTitle(e)],
+  ["status", e => e.status],
+  ["progress", e => e.progress],
+  ["total", e => e.total || ""],
+  ["score", e => e.score || ""],
+  ["notes", e => e.notes],
+  ["created_at", e => e.createdAt],
+  ["updated_at", e => e.updatedAt],
+  ["completed_at", e => e.completedAt || ""]
+];
+
+function csvCell(value) {
+  let text = String(value ?? "");
+
+  // Spreadsheet apps run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+export function toCsv(entries) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...entries.map(entry => CSV_COLUMNS.map(([, value]) => value(entry)))
+  ];
+
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
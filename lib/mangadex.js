@@ -0,0 +1,188 @@
+import axios from "axios";
+
+/* ===============================
+   MANGADEX CLIENT
+   MangaDex allows roughly 5 requests per second per IP, so requests
+   are sent one at a time with a minimum gap between them. 429s are
+   retried after the advertised X-RateLimit-Retry-After time.
+   MANGADEX_URL points the client at a stand-in server for testing
+   (see scripts/mangadex-mock.js).
+================================ */
+
+const MANGADEX_URL = (process.env.MANGADEX_URL || "https://api.mangadex.org").replace(/\/$/, "");
+
+const DEFAULT_TIMEOUT = 10000;
+const MIN_INTERVAL = parseInt(process.env.MANGADEX_MIN_INTERVAL) || 250;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 1000 * 60;
+
+// Largest page the chapter feed endpoint accepts
+const FEED_PAGE_SIZE = 500;
+const MAX_FEED_PAGES = 20;
+
+let lastRequestAt = 0;
+let chain = Promise.resolve();
+
+const stats = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  failures: 0
+};
+
+export class MangaDexError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = "MangaDexError";
+    this.status = status;
+  }
+}
+
+/* ===============================
+   HELPERS
+================================ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryDelay(attempt, err) {
+  const headers = err.response?.headers || {};
+
+  // MangaDex sends the unix time (seconds) at which requests are allowed again
+  const retryAt = parseInt(headers["x-ratelimit-retry-after"]);
+  if (!isNaN(retryAt)) return Math.min(Math.max(retryAt * 1000 - Date.now(), 0), MAX_BACKOFF);
+
+  const retryAfter = Number(headers["retry-after"]);
+  if (!isNaN(retryAfter) && headers["retry-after"]) return Math.min(retryAfter * 1000, MAX_BACKOFF);
+
+  return Math.min(BASE_BACKOFF * 2 ** attempt, MAX_BACKOFF);
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+// Queues `run` behind every earlier request, MIN_INTERVAL apart
+function throttle(run) {
+  const result = chain.then(async () => {
+    const wait = lastRequestAt + MIN_INTERVAL - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+    return run();
+  });
+
+  chain = result.catch(() => {});
+  return result;
+}
+
+/**
+ * `publishAtSince` in the only format MangaDex accepts:
+ * YYYY-MM-DDTHH:MM:SS, UTC, without milliseconds or zone.
+ */
+export function formatPublishAtSince(date) {
+  return new Date(date).toISOString().substring(0, 19);
+}
+
+/* ===============================
+   REQUEST
+================================ */
+
+/**
+ * GET `path` on the MangaDex API and resolve with the response body.
+ * Arrays in `params` are sent as `key[]=value`, objects as `key[field]=value`.
+ */
+export async function mangadexGet(path, params = {}, { timeout = DEFAULT_TIMEOUT } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      stats.requests++;
+      const response = await throttle(() =>
+        axios.get(`${MANGADEX_URL}${path}`, { params, timeout })
+      );
+      return response.data;
+
+    } catch (err) {
+      if (err.response?.status === 429) stats.rateLimited++;
+
+      if (attempt >= MAX_RETRIES || !isRetryable(err)) {
+        stats.failures++;
+        throw new MangaDexError(
+          err.response?.data?.errors?.[0]?.detail || err.message,
+          { status: err.response?.status ?? null }
+        );
+      }
+
+      stats.retries++;
+      await sleep(retryDelay(attempt, err));
+    }
+  }
+}
+
+/**
+ * MangaDex manga id for an AniList title. Results linking back to the
+ * AniList id (attributes.links.al) win over plain title matches.
+ */
+export async function findMangaDexId(title, anilistId = null) {
+  const body = await mangadexGet("/manga", { title, limit: 5 });
+  const results = body.data || [];
+
+  const linked = anilistId && results.find(manga => String(manga.attributes?.links?.al) === String(anilistId));
+  return (linked || results[0])?.id || null;
+}
+
+function toChapter(ch) {
+  return {
+    id: ch.id,
+    chapter: ch.attributes.chapter,
+    volume: ch.attributes.volume,
+    title: ch.attributes.title,
+    pages: ch.attributes.pages,
+    publishAt: ch.attributes.publishAt,
+    externalUrl: ch.attributes.externalUrl || null
+  };
+}
+
+/**
+ * English chapters of a manga, oldest publishAt first. With
+ * `publishAtSince` only chapters published at or after that time are
+ * fetched, so regular polls stay at a single request.
+ */
+export async function fetchChapterFeed(mangaId, { publishAtSince = null, language = "en" } = {}) {
+  const chapters = [];
+
+  for (let page = 0; page < MAX_FEED_PAGES; page++) {
+    const body = await mangadexGet(`/manga/${mangaId}/feed`, {
+      translatedLanguage: [language],
+      order: { publishAt: "asc" },
+      limit: FEED_PAGE_SIZE,
+      offset: page * FEED_PAGE_SIZE,
+      includeFuturePublishAt: 0,
+      ...(publishAtSince && { publishAtSince: formatPublishAtSince(publishAtSince) })
+    });
+
+    chapters.push(...(body.data || []).map(toChapter));
+
+    if (chapters.length >= (body.total ?? 0) || !(body.data || []).length) break;
+  }
+
+  return chapters;
+}
+
+/**
+ * The `limit` most recently published English chapters, newest first.
+ */
+export async function fetchLatestChapters(mangaId, { limit = 50, language = "en" } = {}) {
+  const body = await mangadexGet(`/manga/${mangaId}/feed`, {
+    translatedLanguage: [language],
+    order: { publishAt: "desc" },
+    limit,
+    includeFuturePublishAt: 0
+  });
+
+  return (body.data || []).map(toChapter);
+}
+
+export function getMangaDexStats() {
+  return { ...stats };
+}
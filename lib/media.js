@@ -0,0 +1,125 @@
+import { anilistQuery } from "./anilist.js";
+import { createCache } from "./cache.js";
+
+/* ===============================
+   ANILIST MEDIA LOOKUPS
+   Shared by /api/anilist/media/:id and everything that stores
+   AniList ids (library, imports). Slugs resolve the same way the
+   manga/anime routes do: dashes become spaces and AniList search
+   picks the best match.
+================================ */
+
+const mediaCache = createCache("anilist-media", {
+  ttl: 1000 * 60 * 20, // 20 minutes
+  staleWhileRevalidate: 1000 * 60 * 60,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 1000
+});
+
+const slugCache = createCache("anilist-slugs", {
+  ttl: 1000 * 60 * 60 * 24, // slugs rarely change what they point at
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 2000
+});
+
+const MEDIA_QUERY = `
+  query ($id: Int) {
+    Media(id: $id) {
+      id
+      idMal
+      type
+      format
+      title { romaji english }
+      description(asHtml: true)
+      coverImage { extraLarge large }
+      bannerImage
+      episodes
+      chapters
+      genres
+      averageScore
+      status
+    }
+  }
+`;
+
+// Lighter field set for bulk lookups (list imports)
+const BATCH_QUERY = `
+  query ($ids: [Int], $malIds: [Int], $type: MediaType) {
+    Page(perPage: 50) {
+      media(id_in: $ids, idMal_in: $malIds, type: $type) {
+        id
+        idMal
+        type
+        format
+        title { romaji english }
+        coverImage { large }
+        episodes
+        chapters
+        status
+      }
+    }
+  }
+`;
+
+const BATCH_SIZE = 50;
+
+const SLUG_QUERY = `
+  query ($search: String, $type: MediaType) {
+    Media(search: $search, type: $type) {
+      id
+    }
+  }
+`;
+
+/**
+ * Cache entry (`{ value, timestamp, stale? }`) for AniList media `id`;
+ * `value` is null when AniList has no such media.
+ */
+export function getMediaEntry(id) {
+  return mediaCache.wrap(`media-${id}`, async () => {
+    const result = await anilistQuery(MEDIA_QUERY, { id });
+    return result.Media;
+  });
+}
+
+export async function getMedia(id) {
+  return (await getMediaEntry(id)).value || null;
+}
+
+/**
+ * AniList id for a site slug of `type` ("MANGA" or "ANIME"), or null.
+ */
+export async function resolveSlug(slug, type) {
+  const entry = await slugCache.wrap(`${type}-${slug}`, async () => {
+    const result = await anilistQuery(SLUG_QUERY, { search: slug.replace(/-/g, " "), type });
+    return result.Media?.id;
+  });
+  return entry.value || null;
+}
+
+async function findBatched(values, variables) {
+  const found = [];
+
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    const result = await anilistQuery(BATCH_QUERY, variables(values.slice(i, i + BATCH_SIZE)));
+    found.push(...(result.Page?.media || []));
+  }
+
+  return found;
+}
+
+/**
+ * Media for many AniList ids, 50 per request. Unknown ids are missing
+ * from the result rather than null.
+ */
+export function findMediaByIds(ids) {
+  return findBatched([...new Set(ids)], batch => ({ ids: batch }));
+}
+
+/**
+ * Media for MyAnimeList ids of one `type`. MAL numbers anime and manga
+ * separately, so the same id can mean different titles per type.
+ */
+export function findMediaByMalIds(malIds, type) {
+  return findBatched([...new Set(malIds)], batch => ({ malIds: batch, type }));
+}
@@ -0,0 +1,111 @@
+import path from "path";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+import { makeSubject, parseSubjectKey, subjectKey } from "./comments/threads.js";
+
+/* ===============================
+   COMMUNITY RATINGS
+   One 1-5 rating per voter (strictVoterId: account, or IP for
+   guests) per discussion subject (chapter, episode or series), kept
+   in ratings.json:
+     { version, subjects: { <subjectKey>: { <voter>: { rating, ratedAt } } } }
+================================ */
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+const doc = openJsonDocument(
+  process.env.RATINGS_FILE || path.join(DATA_DIR, "ratings.json"),
+  { version: 1, subjects: {} }
+);
+
+/**
+ * Whole-star rating from user input, or null.
+ */
+export function parseRating(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= MIN_RATING && n <= MAX_RATING ? n : null;
+}
+
+function summarize(ratings) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let sum = 0;
+
+  for (const rating of ratings) {
+    histogram[rating]++;
+    sum += rating;
+  }
+
+  const count = ratings.length;
+  const mean = count ? Math.round((sum / count) * 100) / 100 : null;
+
+  return {
+    mean,
+    count,
+    histogram,
+    // Same 0-100 scale as AniList's averageScore
+    score: mean === null ? null : Math.round(mean * 20)
+  };
+}
+
+function ratingsOf(key) {
+  return Object.values(doc.data.subjects[key] || {}).map(entry => entry.rating);
+}
+
+export function getRating(key, voter) {
+  return doc.data.subjects[key]?.[voter]?.rating ?? null;
+}
+
+/**
+ * Creates or replaces `voter`'s rating of `key`.
+ */
+export function setRating(key, voter, rating) {
+  doc.data.subjects[key] = {
+    ...doc.data.subjects[key],
+    [voter]: { rating, ratedAt: new Date().toISOString() }
+  };
+  doc.save();
+}
+
+export function removeRating(key, voter) {
+  const votes = doc.data.subjects[key];
+  if (!votes?.[voter]) return false;
+
+  delete votes[voter];
+  if (!Object.keys(votes).length) delete doc.data.subjects[key];
+  doc.save();
+  return true;
+}
+
+export function ratingSummary(key) {
+  return summarize(ratingsOf(key));
+}
+
+/**
+ * Rollup for a whole series: every chapter/episode rating plus ratings
+ * of the series thread itself, with the per-unit breakdown.
+ */
+export function seriesRatingSummary(type, slug) {
+  const units = [];
+  const all = [];
+
+  for (const key of Object.keys(doc.data.subjects)) {
+    const subject = parseSubjectKey(key);
+    if (subject?.type !== type || subject.slug !== slug) continue;
+
+    const ratings = ratingsOf(key);
+    all.push(...ratings);
+
+    if (subject.unit) {
+      const { mean, count } = summarize(ratings);
+      units.push({ number: subject.number, mean, count });
+    }
+  }
+
+  units.sort((a, b) => Number(a.number) - Number(b.number));
+
+  return {
+    ...summarize(all),
+    series: ratingSummary(subjectKey(makeSubject(type, slug))),
+    [type === "anime" ? "episodes" : "chapters"]: units
+  };
+}
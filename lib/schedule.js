@@ -0,0 +1,284 @@
+import { anilistQuery } from "./anilist.js";
+import { createCache } from "./cache.js";
+
+/* ===============================
+   AIRING SCHEDULES
+   AniList airingSchedule entries for a set of anime between two
+   times, oldest first, and per-episode release info (air time in
+   the main broadcast time zones, weekly cadence and delays). Used
+   by the airing tracker, calendar feeds and release-date pages.
+================================ */
+
+const MAX_IDS_PER_QUERY = 50;
+const MAX_PAGES = 10;
+
+const DAY = 60 * 60 * 24; // seconds, like AniList airingAt
+const WEEK = DAY * 7;
+
+// An episode airing more than this after the usual cadence is delayed
+const DELAY_TOLERANCE = DAY;
+
+// Episodes before the requested one used to work out the cadence
+const CADENCE_EPISODES = 6;
+
+const BROADCAST_ZONES = [
+  { region: "Japan", timeZone: "Asia/Tokyo" },
+  { region: "US Pacific", timeZone: "America/Los_Angeles" },
+  { region: "US Eastern", timeZone: "America/New_York" },
+  { region: "UK", timeZone: "Europe/London", locale: "en-GB" },
+  { region: "India", timeZone: "Asia/Kolkata" }
+];
+
+// Intl only has names like "GMT+9" for these in en-US
+const ZONE_ABBREVIATIONS = { "Asia/Tokyo": "JST", "Asia/Kolkata": "IST" };
+
+const episodeCache = createCache("anime-schedules", {
+  ttl: 1000 * 60 * 10, // 10 minutes; delays are announced late
+  staleWhileRevalidate: 1000 * 60 * 30,
+  staleIfError: 1000 * 60 * 60 * 24,
+  maxEntries: 1000
+});
+
+const EPISODE_QUERY = `
+  query ($id: Int, $from: Int, $to: Int) {
+    Media(id: $id, type: ANIME) {
+      id
+      title { romaji english }
+      episodes
+      duration
+      status
+      nextAiringEpisode { episode airingAt }
+    }
+    Page(perPage: 25) {
+      airingSchedules(mediaId: $id, episode_greater: $from, episode_lesser: $to, sort: EPISODE) {
+        episode
+        airingAt
+      }
+    }
+  }
+`;
+
+const SCHEDULES_QUERY = `
+  query ($ids: [Int], $from: Int, $to: Int, $page: Int) {
+    Page(page: $page, perPage: 50) {
+      pageInfo { hasNextPage }
+      airingSchedules(mediaId_in: $ids, airingAt_greater: $from, airingAt_lesser: $to, sort: TIME) {
+        id
+        episode
+        airingAt
+        mediaId
+        media { title { romaji english } episodes duration }
+      }
+    }
+  }
+`;
+
+/**
+ * Schedules of the anime in `ids` airing between `from` and `to`
+ * (Dates or ms timestamps, both exclusive).
+ */
+export async function airingSchedules(ids, { from, to }) {
+  const schedules = [];
+  const range = {
+    from: Math.floor(Number(from) / 1000),
+    to: Math.ceil(Number(to) / 1000)
+  };
+
+  for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+    const batch = ids.slice(i, i + MAX_IDS_PER_QUERY);
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const data = await anilistQuery(SCHEDULES_QUERY, { ids: batch, ...range, page });
+      schedules.push(...(data.Page?.airingSchedules || []));
+      if (!data.Page?.pageInfo?.hasNextPage) break;
+    }
+  }
+
+  return schedules.sort((a, b) => a.airingAt - b.airingAt);
+}
+
+/**
+ * AniList season and year airing at `date`. December counts as
+ * the next year's WINTER, as on AniList.
+ */
+export function seasonOf(date = new Date()) {
+  const month = date.getUTCMonth();
+  const year = date.getUTCFullYear();
+
+  if (month === 11) return { season: "WINTER", year: year + 1 };
+  if (month < 2) return { season: "WINTER", year };
+  if (month < 5) return { season: "SPRING", year };
+  if (month < 8) return { season: "SUMMER", year };
+  return { season: "FALL", year };
+}
+
+/**
+ * Whether episode `number` has aired, from AniList's nextAiringEpisode
+ * and status. `episodes` alone is not enough: it is null for most
+ * shows that are still airing.
+ */
+export function isEpisodeAired(media, number, now = Date.now()) {
+  const next = media?.nextAiringEpisode;
+
+  if (next) {
+    return number < next.episode || (number === next.episode && next.airingAt * 1000 <= now);
+  }
+  if (media?.status === "NOT_YET_RELEASED") return false;
+  return number <= (media?.episodes || 0);
+}
+
+/**
+ * `date` in each broadcast time zone, e.g.
+ * { region: "Japan", timeZone: "Asia/Tokyo", abbreviation: "JST",
+ *   date: "2024-10-06", time: "23:30", display: "Sun, Oct 6, 2024, 11:30 PM" }
+ */
+export function broadcastTimes(date) {
+  return BROADCAST_ZONES.map(({ region, timeZone, locale = "en-US" }) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    const abbreviation = ZONE_ABBREVIATIONS[timeZone] || new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: "short" })
+      .formatToParts(date)
+      .find(part => part.type === "timeZoneName").value;
+
+    return {
+      region,
+      timeZone,
+      abbreviation,
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`,
+      display: new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        hour: "numeric",
+        minute: "2-digit"
+      }).format(date)
+    };
+  });
+}
+
+// Median seconds per episode between consecutive known air times
+function cadenceOf(schedules) {
+  const gaps = [];
+
+  for (let i = 1; i < schedules.length; i++) {
+    const episodes = schedules[i].episode - schedules[i - 1].episode;
+    if (episodes > 0) gaps.push((schedules[i].airingAt - schedules[i - 1].airingAt) / episodes);
+  }
+
+  if (!gaps.length) return WEEK;
+
+  gaps.sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  return gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+}
+
+function isoTime(seconds) {
+  return seconds == null ? null : new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Release info for episode `number` from the media and its nearby
+ * airingSchedule entries. The expected time is the last earlier
+ * episode plus the usual cadence; an episode scheduled well after
+ * that, or one with no date once that time has passed, is delayed.
+ */
+export function summarizeEpisode(media, schedules, number, now = Date.now()) {
+  const known = [...schedules];
+  const next = media.nextAiringEpisode;
+  if (next && !known.some(s => s.episode === next.episode)) known.push(next);
+  known.sort((a, b) => a.episode - b.episode);
+
+  const target = known.find(s => s.episode === number) || null;
+  const earlier = known.filter(s => s.episode < number);
+  const anchor = earlier[earlier.length - 1] || null;
+  const cadence = cadenceOf(earlier);
+
+  const expectedAt = anchor ? Math.round(anchor.airingAt + (number - anchor.episode) * cadence) : null;
+  const airingAt = target?.airingAt ?? null;
+  const nowSeconds = Math.floor(now / 1000);
+  const pastLastEpisode = media.episodes && number > media.episodes;
+
+  let status = "unknown";
+  if (airingAt != null) status = airingAt <= nowSeconds ? "aired" : "scheduled";
+  else if (isEpisodeAired(media, number, now)) status = "aired";
+  else if (expectedAt != null && !pastLastEpisode && media.status !== "FINISHED") status = "estimated";
+
+  const delay = { isDelayed: false, delayedBy: 0, reason: null };
+
+  if (airingAt != null && expectedAt != null && airingAt - expectedAt > DELAY_TOLERANCE) {
+    delay.isDelayed = true;
+    delay.delayedBy = airingAt - expectedAt;
+    const days = Math.round(delay.delayedBy / DAY);
+    delay.reason = `Airs ${days} day${days === 1 ? "" : "s"} later than the usual schedule`;
+  } else if (status === "estimated" && expectedAt + DELAY_TOLERANCE < nowSeconds) {
+    delay.isDelayed = true;
+    delay.delayedBy = nowSeconds - expectedAt;
+    delay.reason = "Expected air time has passed with no date announced";
+  }
+
+  const shownAt = airingAt ?? (status === "estimated" ? expectedAt : null);
+
+  return {
+    number,
+    status,
+    isAired: status === "aired",
+    airingAt: isoTime(airingAt),
+    expectedAt: isoTime(expectedAt),
+    isEstimate: airingAt == null && status === "estimated",
+    timeUntilAiring: shownAt != null && shownAt > nowSeconds ? shownAt - nowSeconds : 0,
+    cadenceDays: Math.round((cadence / DAY) * 10) / 10,
+    duration: media.duration || null,
+    times: shownAt != null ? broadcastTimes(new Date(shownAt * 1000)) : [],
+    delay
+  };
+}
+
+/**
+ * Cache entry for AniList anime `id` with `value`
+ * { anime, episode: summarizeEpisode(...) }, or a null value when
+ * there is no such anime. Only the AniList data is cached; the
+ * summary is worked out on every call so countdowns stay current.
+ */
+export async function getEpisodeSchedule(id, number) {
+  const entry = await episodeCache.wrap(`episode-${id}-${number}`, async () => {
+    const data = await anilistQuery(EPISODE_QUERY, {
+      id,
+      from: number - CADENCE_EPISODES - 1,
+      to: number + 2
+    });
+    if (!data.Media) return null;
+
+    return { media: data.Media, schedules: data.Page?.airingSchedules || [] };
+  });
+
+  if (!entry.value) return entry;
+
+  const { media, schedules } = entry.value;
+
+  return {
+    ...entry,
+    value: {
+      anime: {
+        id: media.id,
+        title: media.title,
+        episodes: media.episodes,
+        status: media.status,
+        nextAiringEpisode: media.nextAiringEpisode
+      },
+      episode: summarizeEpisode(media, schedules, number)
+    }
+  };
+}
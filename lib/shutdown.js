@@ -0,0 +1,21 @@
+/* ===============================
+   SHUTDOWN HOOKS
+   Render sends SIGTERM on every deploy and free-tier sleep;
+   anything holding unsaved state registers a synchronous flush here.
+================================ */
+
+const hooks = [];
+
+export function onShutdown(fn) {
+  hooks.push(fn);
+}
+
+export function runShutdownHooks() {
+  for (const hook of hooks) {
+    try {
+      hook();
+    } catch (err) {
+      console.error("Shutdown hook failed:", err.message);
+    }
+  }
+}
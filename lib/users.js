@@ -0,0 +1,275 @@
+import crypto from "crypto";
+import path from "path";
+import { promisify } from "util";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+
+/* ===============================
+   USER ACCOUNTS & SESSIONS
+   Passwords are hashed with scrypt and a per-user random salt.
+   Sessions are random tokens handed out as an HTTP-only cookie;
+   only their SHA-256 hash is stored (as is the hash of the
+   optional calendar feed token), in users.json:
+     { version, users: { <id>: user }, sessions: { <tokenHash>: session } }
+================================ */
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = "mn_session";
+export const SESSION_TTL = 1000 * 60 * 60 * 24 * 30; // 30 days
+
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,30}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_DISPLAY_NAME_LENGTH = 30;
+const MAX_BIO_LENGTH = 300;
+
+const doc = openJsonDocument(
+  process.env.USERS_FILE || path.join(DATA_DIR, "users.json"),
+  { version: 1, users: {}, sessions: {} }
+);
+
+// Expired sessions are also dropped lazily whenever they are looked up
+for (const [key, session] of Object.entries(doc.data.sessions)) {
+  if (Date.parse(session.expiresAt) <= Date.now()) delete doc.data.sessions[key];
+}
+
+export class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UserError";
+    this.status = status;
+  }
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return { salt, hash: key.toString("hex") };
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" ? value.replace(/[<>]/g, "").trim().substring(0, maxLength) : "";
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new UserError("Password is too long");
+  }
+}
+
+function findByUsername(username) {
+  const name = String(username || "").toLowerCase();
+  return Object.values(doc.data.users).find(user => user.usernameLower === name) || null;
+}
+
+/**
+ * Profile fields safe to show anyone.
+ */
+export function publicProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    bio: user.bio,
+    avatarUrl: user.avatarUrl,
+    createdAt: user.createdAt
+  };
+}
+
+export function getUser(id) {
+  return doc.data.users[id] || null;
+}
+
+export function getUserByUsername(username) {
+  return findByUsername(username);
+}
+
+/**
+ * True when `name` is a registered username, so guests cannot post as it.
+ */
+export function isRegisteredName(name) {
+  return Boolean(findByUsername(name));
+}
+
+export async function createUser({ username, password, displayName }) {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    throw new UserError("Username must be 3-30 letters, numbers, _ or -");
+  }
+  validatePassword(password);
+
+  // Hash before the uniqueness check: nothing may await between the
+  // check and the insert, or two signups can both take the name
+  const passwordHash = await hashPassword(password);
+
+  if (findByUsername(username)) {
+    throw new UserError("Username is already taken", 409);
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    usernameLower: username.toLowerCase(),
+    displayName: cleanText(displayName, MAX_DISPLAY_NAME_LENGTH) || username,
+    bio: "",
+    avatarUrl: null,
+    password: passwordHash,
+    createdAt: new Date().toISOString()
+  };
+
+  doc.data.users[user.id] = user;
+  doc.save();
+  return user;
+}
+
+/**
+ * The user for a username/password pair, or null. Always runs scrypt so
+ * unknown usernames take as long as wrong passwords.
+ */
+export async function verifyCredentials(username, password) {
+  if (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH) return null;
+
+  const user = findByUsername(username);
+  const salt = user?.password.salt || "0".repeat(32);
+  const { hash } = await hashPassword(password, salt);
+
+  if (!user) return null;
+
+  const expected = Buffer.from(user.password.hash, "hex");
+  const actual = Buffer.from(hash, "hex");
+  return crypto.timingSafeEqual(expected, actual) ? user : null;
+}
+
+/**
+ * Applies profile changes. Everything is validated before anything is
+ * changed, so a rejected request leaves the profile untouched.
+ */
+export async function updateProfile(user, changes) {
+  const next = {};
+
+  if ("displayName" in changes) {
+    next.displayName = cleanText(changes.displayName, MAX_DISPLAY_NAME_LENGTH) || user.username;
+  }
+
+  if ("bio" in changes) {
+    next.bio = cleanText(changes.bio, MAX_BIO_LENGTH);
+  }
+
+  if ("avatarUrl" in changes) {
+    const url = changes.avatarUrl;
+    if (url !== null && !/^https:\/\/\S+$/.test(String(url))) {
+      throw new UserError("avatarUrl must be an https URL");
+    }
+    next.avatarUrl = url;
+  }
+
+  if ("newPassword" in changes) {
+    if (!(await verifyCredentials(user.username, changes.currentPassword))) {
+      throw new UserError("Current password is incorrect", 403);
+    }
+    validatePassword(changes.newPassword);
+    next.password = await hashPassword(changes.newPassword);
+  }
+
+  Object.assign(user, next, { updatedAt: new Date().toISOString() });
+  if (next.password) endSessions(user.id);
+
+  doc.save();
+  return user;
+}
+
+/* ===============================
+   SESSIONS
+================================ */
+
+export function startSession(user) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+
+  doc.data.sessions[hashSessionToken(token)] = {
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL).toISOString()
+  };
+  doc.save();
+
+  return token;
+}
+
+/**
+ * The user a session token belongs to, or null if it is unknown or expired.
+ */
+export function userForSession(token) {
+  if (!token) return null;
+
+  const key = hashSessionToken(token);
+  const session = doc.data.sessions[key];
+  if (!session) return null;
+
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    delete doc.data.sessions[key];
+    doc.save();
+    return null;
+  }
+
+  return getUser(session.userId);
+}
+
+export function endSession(token) {
+  const key = hashSessionToken(token);
+  if (!doc.data.sessions[key]) return false;
+
+  delete doc.data.sessions[key];
+  doc.save();
+  return true;
+}
+
+export function endSessions(userId) {
+  for (const [key, session] of Object.entries(doc.data.sessions)) {
+    if (session.userId === userId) delete doc.data.sessions[key];
+  }
+  doc.save();
+}
+
+/* ===============================
+   CALENDAR TOKENS
+   Calendar apps cannot send the session cookie, so a user's
+   calendar feed is reached through a secret URL instead. Creating
+   a new token invalidates the old URL.
+================================ */
+
+export function createCalendarToken(user) {
+  const token = crypto.randomBytes(24).toString("base64url");
+
+  user.calendar = {
+    tokenHash: hashSessionToken(token),
+    createdAt: new Date().toISOString()
+  };
+  doc.save();
+
+  return token;
+}
+
+export function revokeCalendarToken(user) {
+  if (!user.calendar) return false;
+
+  delete user.calendar;
+  doc.save();
+  return true;
+}
+
+/**
+ * The user a calendar token belongs to, or null.
+ */
+export function userForCalendarToken(token) {
+  if (!token) return null;
+
+  const hash = hashSessionToken(token);
+  return Object.values(doc.data.users).find(user => user.calendar?.tokenHash === hash) || null;
+}
@@ -0,0 +1,24 @@
+import crypto from "crypto";
+
+/* ===============================
+   VOTER IDENTITY
+   Signed-in voters are their account. Guests are a salted hash of
+   their IP alone, so clearing storage or forging headers does not
+   give another like, report or rating; guests behind one IP share
+   it. Raw IPs are never stored.
+================================ */
+
+const VOTER_SALT = process.env.VOTER_SALT || "manganext-voter";
+
+export function hashIdentity(value) {
+  return crypto
+    .createHash("sha256")
+    .update(`${VOTER_SALT}:${value}`)
+    .digest("hex")
+    .substring(0, 32);
+}
+
+export function strictVoterId(req) {
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${hashIdentity(req.ip)}`;
+}
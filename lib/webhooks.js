@@ -0,0 +1,557 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import path from "path";
+import axios from "axios";
+import { DATA_DIR, openJsonDocument } from "./jsonFile.js";
+import { chapterUrl, episodeUrl, mediaSlug, SITE_URL } from "./links.js";
+import { onNewChapters, trackMangaFrom } from "./chapterTracker.js";
+import { onEpisodesAired, trackAnimeFrom } from "./airingTracker.js";
+
+/* ===============================
+   OUTGOING WEBHOOKS
+   Users subscribe a URL to a manga or anime and get a POST when the
+   chapter tracker or airing tracker reports a release. State lives in
+   webhooks.json:
+     { version, subscriptions: { <id>: subscription }, deliveries: { <id>: delivery } }
+
+   Every body is signed: X-MangaNext-Signature is
+   "sha256=" + HMAC-SHA256(secret, `${X-MangaNext-Timestamp}.${body}`).
+   Failed deliveries are retried with exponential backoff; a
+   subscription is disabled after MAX_CONSECUTIVE_FAILURES deliveries
+   in a row have failed for good (retries used up or not retryable),
+   or straight away on 410 Gone.
+================================ */
+
+export const WEBHOOK_FORMATS = ["json", "discord", "slack"];
+export const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAY = 1000 * (Number(process.env.WEBHOOK_RETRY_DELAY) || 30); // x4 per attempt
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.WEBHOOK_MAX_FAILURES) || 10;
+const DELIVERY_TIMEOUT = 10000;
+const DELIVERY_LOG_SIZE = 50;
+const PROCESS_INTERVAL = 5000;
+
+// Local/private targets are only allowed for development against a local receiver
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "1";
+
+const doc = openJsonDocument(
+  process.env.WEBHOOKS_FILE || path.join(DATA_DIR, "webhooks.json"),
+  { version: 1, subscriptions: {}, deliveries: {} }
+);
+
+const stats = {
+  delivered: 0,
+  failedAttempts: 0,
+  disabled: 0
+};
+
+let processing = false;
+
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+/* ===============================
+   URL CHECKS
+================================ */
+
+// Loopback, private, link-local (cloud metadata), CGNAT, reserved and
+// multicast ranges. BlockList checks IPv4-mapped IPv6 addresses
+// (::ffff:7f00:1, however they are written) against the IPv4 rules, so
+// the mapped range needs no rule of its own: ::ffff:0:0/96 would also
+// match every plain IPv4 address. NAT64 is blocked outright.
+const PRIVATE_RANGES = new net.BlockList();
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  // Anything that is not a plain IP address is refused rather than guessed at
+  return !family || PRIVATE_RANGES.check(address, family);
+}
+
+function parseTargetUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new WebhookError("url must be a valid URL");
+  }
+
+  if (url.protocol !== "https:" && !(ALLOW_PRIVATE_URLS && url.protocol === "http:")) {
+    throw new WebhookError("url must use https");
+  }
+  if (url.username || url.password) {
+    throw new WebhookError("url must not contain credentials");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!ALLOW_PRIVATE_URLS && (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && isPrivateAddress(host)))) {
+    throw new WebhookError("url must point to a public host");
+  }
+
+  return url.toString();
+}
+
+// Checked again at delivery time: a public name can later resolve to a private address
+async function assertPublicHost(target) {
+  if (ALLOW_PRIVATE_URLS) return;
+
+  const host = new URL(target).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("Target resolves to a private address");
+  }
+}
+
+function parseFormat(value) {
+  if (!WEBHOOK_FORMATS.includes(value)) {
+    throw new WebhookError(`format must be one of: ${WEBHOOK_FORMATS.join(", ")}`);
+  }
+  return value;
+}
+
+/* ===============================
+   SUBSCRIPTIONS
+================================ */
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Subscription without its secret.
+ */
+export function publicSubscription(sub) {
+  const { secret, ...rest } = sub;
+  return rest;
+}
+
+export function getSubscription(userId, id) {
+  const sub = doc.data.subscriptions[id];
+  return sub && sub.userId === userId ? sub : null;
+}
+
+export function listSubscriptions(userId) {
+  return Object.values(doc.data.subscriptions)
+    .filter(sub => sub.userId === userId)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Subscribes `url` to releases of `media` (AniList media data).
+ * The returned subscription includes the signing secret.
+ */
+export function createSubscription(userId, media, { url, format = "json" }) {
+  if (listSubscriptions(userId).length >= MAX_SUBSCRIPTIONS_PER_USER) {
+    throw new WebhookError(`Accounts are limited to ${MAX_SUBSCRIPTIONS_PER_USER} webhooks`, 409);
+  }
+
+  const sub = {
+    id: crypto.randomUUID(),
+    userId,
+    mediaId: media.id,
+    type: media.type,
+    title: media.title,
+    url: parseTargetUrl(url),
+    format: parseFormat(format),
+    secret: newSecret(),
+    active: true,
+    consecutiveFailures: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  doc.data.subscriptions[sub.id] = sub;
+  doc.save();
+  return sub;
+}
+
+/**
+ * Updates url, format and/or active. Re-enabling resets the failure count.
+ */
+export function updateSubscription(sub, changes) {
+  const next = {};
+
+  if ("url" in changes) next.url = parseTargetUrl(changes.url);
+  if ("format" in changes) next.format = parseFormat(changes.format);
+  if ("active" in changes) {
+    if (typeof changes.active !== "boolean") throw new WebhookError("active must be true or false");
+    next.active = changes.active;
+  }
+
+  Object.assign(sub, next, { updatedAt: new Date().toISOString() });
+
+  if (next.active === true) {
+    sub.consecutiveFailures = 0;
+    delete sub.disabledAt;
+    delete sub.disabledReason;
+  }
+  if (next.active === false) cancelPending(sub.id, "Webhook disabled");
+
+  doc.save();
+  return sub;
+}
+
+export function rotateSecret(sub) {
+  sub.secret = newSecret();
+  sub.updatedAt = new Date().toISOString();
+  doc.save();
+  return sub;
+}
+
+export function removeSubscription(sub) {
+  delete doc.data.subscriptions[sub.id];
+  for (const [id, delivery] of Object.entries(doc.data.deliveries)) {
+    if (delivery.subscriptionId === sub.id) delete doc.data.deliveries[id];
+  }
+  doc.save();
+}
+
+/**
+ * Media ids with at least one active subscription of `type`, as
+ * `{ mediaId, title }` entries for the trackers.
+ */
+export function subscribedMedia(type) {
+  const media = new Map();
+  for (const sub of Object.values(doc.data.subscriptions)) {
+    if (sub.active && sub.type === type) media.set(sub.mediaId, { mediaId: sub.mediaId, title: sub.title });
+  }
+  return [...media.values()];
+}
+
+/* ===============================
+   PAYLOADS
+================================ */
+
+function titleOf(title) {
+  return title?.english || title?.romaji || "Unknown title";
+}
+
+function numberRange(numbers) {
+  return numbers.length === 1 ? numbers[0] : `${numbers[0]}–${numbers.at(-1)}`;
+}
+
+/**
+ * Human-readable summary and link for an event, shared by the
+ * Discord and Slack formats.
+ */
+function describe(event) {
+  const title = titleOf(event.media.title);
+  const slug = mediaSlug(event.media.title);
+
+  if (event.type === "chapter.released") {
+    const numbers = event.chapters.map(ch => ch.number);
+    const last = numbers.at(-1);
+    return {
+      text: numbers.length === 1
+        ? `${title} Chapter ${last} is out!`
+        : `${title} Chapters ${numberRange(numbers)} are out!`,
+      url: chapterUrl(slug, last)
+    };
+  }
+
+  if (event.type === "episode.aired") {
+    const numbers = event.episodes.map(ep => ep.episode);
+    const last = numbers.at(-1);
+    return {
+      text: numbers.length === 1
+        ? `${title} Episode ${last} has aired!`
+        : `${title} Episodes ${numberRange(numbers)} have aired!`,
+      url: episodeUrl(event.media.id, slug, last)
+    };
+  }
+
+  return { text: `Test delivery for ${title}`, url: SITE_URL };
+}
+
+function renderBody(format, event) {
+  if (format === "json") return event;
+
+  const { text, url } = describe(event);
+
+  if (format === "discord") {
+    return {
+      username: "MangaNext",
+      content: text,
+      embeds: [{
+        title: titleOf(event.media.title),
+        url,
+        description: text,
+        color: 0x5865f2,
+        timestamp: event.createdAt
+      }],
+      allowed_mentions: { parse: [] }
+    };
+  }
+
+  return {
+    text: `${text} ${url}`,
+    blocks: [{ type: "section", text: { type: "mrkdwn", text: `*<${url}|${text}>*` } }]
+  };
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/* ===============================
+   DELIVERY QUEUE
+================================ */
+
+function pruneLog(subscriptionId) {
+  const finished = Object.values(doc.data.deliveries)
+    .filter(d => d.subscriptionId === subscriptionId && d.status !== "pending")
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  for (const delivery of finished.slice(DELIVERY_LOG_SIZE)) {
+    delete doc.data.deliveries[delivery.id];
+  }
+}
+
+function cancelPending(subscriptionId, reason) {
+  for (const delivery of Object.values(doc.data.deliveries)) {
+    if (delivery.subscriptionId === subscriptionId && delivery.status === "pending") {
+      delivery.status = "cancelled";
+      delivery.error = reason;
+    }
+  }
+}
+
+function enqueue(sub, event) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriptionId: sub.id,
+    event: event.type,
+    payload: event,
+    status: "pending",
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    createdAt: new Date().toISOString()
+  };
+
+  doc.data.deliveries[delivery.id] = delivery;
+  doc.save();
+  setImmediate(processDeliveries);
+  return delivery;
+}
+
+/**
+ * Queues `event` for every active subscription to `mediaId`.
+ */
+export function dispatchEvent(mediaId, event) {
+  const subs = Object.values(doc.data.subscriptions).filter(sub => sub.active && sub.mediaId === mediaId);
+  for (const sub of subs) enqueue(sub, event);
+  return subs.length;
+}
+
+/**
+ * Queues a "ping" delivery so the target can be checked.
+ */
+export function sendTestEvent(sub) {
+  return enqueue(sub, {
+    type: "ping",
+    media: { id: sub.mediaId, type: sub.type, title: sub.title },
+    createdAt: new Date().toISOString()
+  });
+}
+
+function disable(sub, reason) {
+  sub.active = false;
+  sub.disabledAt = new Date().toISOString();
+  sub.disabledReason = reason;
+  stats.disabled++;
+  cancelPending(sub.id, "Webhook disabled");
+}
+
+async function attempt(delivery, sub) {
+  const event = { ...delivery.payload, deliveryId: delivery.id };
+  const body = JSON.stringify(renderBody(sub.format, event));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const record = { at: new Date(started).toISOString() };
+
+  try {
+    await assertPublicHost(sub.url);
+
+    const response = await axios.post(sub.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "MangaNext-Webhooks/1.0",
+        "X-MangaNext-Event": delivery.event,
+        "X-MangaNext-Delivery": delivery.id,
+        "X-MangaNext-Timestamp": String(timestamp),
+        "X-MangaNext-Signature": signPayload(sub.secret, timestamp, body)
+      },
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    record.statusCode = response.status;
+    if (response.status >= 200 && response.status < 300) record.ok = true;
+    else record.error = `HTTP ${response.status}`;
+
+    // Discord and Slack both send Retry-After with their 429s
+    const retryAfter = Number(response.headers["retry-after"]);
+    if (response.status === 429 && retryAfter > 0) record.retryAfter = retryAfter * 1000;
+
+  } catch (err) {
+    record.error = err.message;
+  }
+
+  record.durationMs = Date.now() - started;
+  return record;
+}
+
+function isRetryable(record) {
+  const status = record.statusCode;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Sends every delivery that is due. Runs on a timer and right after
+ * new events are queued; overlapping runs are skipped.
+ */
+export async function processDeliveries() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const due = Object.values(doc.data.deliveries)
+      .filter(d => d.status === "pending" && Date.parse(d.nextAttemptAt) <= now)
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+
+    for (const delivery of due) {
+      const sub = doc.data.subscriptions[delivery.subscriptionId];
+
+      if (!sub?.active) {
+        delivery.status = "cancelled";
+        continue;
+      }
+
+      const record = await attempt(delivery, sub);
+      delivery.attempts.push(record);
+
+      if (record.ok) {
+        delivery.status = "delivered";
+        delivery.deliveredAt = record.at;
+        sub.consecutiveFailures = 0;
+        sub.lastDeliveryAt = record.at;
+        stats.delivered++;
+
+      } else {
+        stats.failedAttempts++;
+        sub.lastError = record.error;
+
+        if (record.statusCode === 410) {
+          delivery.status = "failed";
+          disable(sub, "Target answered 410 Gone");
+        } else if (!isRetryable(record) || delivery.attempts.length >= MAX_ATTEMPTS) {
+          // Only a delivery that has failed for good counts towards disabling
+          delivery.status = "failed";
+          sub.consecutiveFailures++;
+
+          if (sub.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+            disable(sub, `${sub.consecutiveFailures} failed deliveries in a row`);
+          }
+        } else {
+          const backoff = record.retryAfter ?? RETRY_DELAY * 4 ** (delivery.attempts.length - 1);
+          delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+        }
+      }
+
+      if (delivery.status !== "pending") delete delivery.nextAttemptAt;
+      pruneLog(sub.id);
+      doc.save();
+    }
+
+  } finally {
+    processing = false;
+  }
+}
+
+/* ===============================
+   TRIGGERS
+   Subscribed titles are polled even when nobody has them in a library.
+================================ */
+
+trackMangaFrom(() => subscribedMedia("MANGA"));
+trackAnimeFrom(() => subscribedMedia("ANIME").map(media => media.mediaId));
+
+onNewChapters((media, chapters) => {
+  dispatchEvent(media.mediaId, {
+    type: "chapter.released",
+    media: { id: media.mediaId, type: "MANGA", title: media.title, mangadexId: media.mangadexId },
+    chapters: chapters
+      .map(ch => ({ number: ch.number, title: ch.title, volume: ch.volume, chapterId: ch.chapterId, publishAt: ch.publishAt }))
+      .sort((a, b) => parseFloat(a.number) - parseFloat(b.number)),
+    createdAt: new Date().toISOString()
+  });
+});
+
+onEpisodesAired((media, episodes) => {
+  dispatchEvent(media.mediaId, {
+    type: "episode.aired",
+    media: { id: media.mediaId, type: "ANIME", title: media.title, episodes: media.episodes },
+    episodes: [...episodes].sort((a, b) => a.episode - b.episode),
+    createdAt: new Date().toISOString()
+  });
+});
+
+export function listDeliveries(subscriptionId) {
+  return Object.values(doc.data.deliveries)
+    .filter(d => d.subscriptionId === subscriptionId)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(({ payload, ...delivery }) => delivery);
+}
+
+export function startWebhookDeliveries() {
+  const tick = () => processDeliveries().catch(err =>
+    console.error("Webhook delivery error:", err.message)
+  );
+
+  tick();
+  setInterval(tick, PROCESS_INTERVAL).unref();
+}
+
+export function getWebhookStats() {
+  const deliveries = Object.values(doc.data.deliveries);
+  return {
+    ...stats,
+    subscriptions: Object.keys(doc.data.subscriptions).length,
+    pending: deliveries.filter(d => d.status === "pending").length
+  };
+}
@@ -1,5 +1,7 @@
 import express from "express";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createCache } from "../lib/cache.js";
+import { estimateNextChapter, getMapping } from "../lib/continuations.js";
 
 const router = express.Router();
 
@@ -7,35 +9,40 @@ const genAI = process.env.GEMINI_API_KEY
   ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
   : null;
 
-const cache = new Map();
-const CACHE_DURATION = 1000 * 60 * 60;
-
-function getCache(key) {
-  const data = cache.get(key);
-  if (!data) return null;
-  if (Date.now() - data.timestamp > CACHE_DURATION) {
-    cache.delete(key);
-    return null;
-  }
-  return data.value;
-}
+const cache = createCache("ai-align", {
+  ttl: 1000 * 60 * 60,
+  maxEntries: 500
+});
 
-function setCache(key, value) {
-  cache.set(key, { value, timestamp: Date.now() });
-}
+/* ===============================
+   ALIGN
+   POST { title, episodes, totalChapters, animeId? }
+   A curated or community mapping for `animeId` always wins; the AI
+   answer and the episodes × 2.5 guess are fallbacks: `source` is
+   "ai", "cache" or "fallback" and `isEstimate` is true.
+================================ */
 
 router.post("/align", async (req, res) => {
-  try {
-    const { title, episodes, totalChapters } = req.body;
+  const { title, episodes, totalChapters, animeId } = req.body || {};
 
-    if (!title || !episodes) {
-      return res.status(400).json({ error: "Invalid input" });
-    }
+  if (!title || !episodes) {
+    return res.status(400).json({ error: "Invalid input" });
+  }
 
+  const mapping = getMapping(parseInt(animeId));
+  if (mapping) {
+    return res.json({
+      source: mapping.source,
+      isEstimate: false,
+      answer: `Start from Chapter ${Math.floor(mapping.lastChapter) + 1}.`
+    });
+  }
+
+  try {
     const cacheKey = `align-${title}-${episodes}`;
-    const cached = getCache(cacheKey);
+    const cached = cache.get(cacheKey);
     if (cached) {
-      return res.json({ source: "cache", answer: cached });
+      return res.json({ source: "cache", isEstimate: true, answer: cached.value });
     }
 
     if (!genAI) {
@@ -55,21 +62,20 @@ router.post("/align", async (req, res) => {
 
     const text = result.response.text();
 
-    setCache(cacheKey, text);
+    cache.set(cacheKey, text);
 
     res.json({
       source: "ai",
+      isEstimate: true,
       answer: text
     });
 
   } catch {
-    let fallback = episodes * 2;
-    if (fallback > totalChapters) {
-      fallback = Math.max(totalChapters - 5, 1);
-    }
+    const fallback = estimateNextChapter(Number(episodes) || 0, Number(totalChapters) || null);
 
     res.json({
       source: "fallback",
+      isEstimate: true,
       answer: `Start from Chapter ${fallback}.`
     });
   }
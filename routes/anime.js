@@ -1,34 +1,28 @@
 import express from "express";
-import axios from "axios";
+import { anilistQuery } from "../lib/anilist.js";
+import { createCache } from "../lib/cache.js";
+import { sendCached } from "../lib/http.js";
+import { resolveSlug } from "../lib/media.js";
+import { getEpisodeSchedule, isEpisodeAired } from "../lib/schedule.js";
+import { continuationFor, findSource } from "../lib/continuations.js";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
 const router = express.Router();
-const ANILIST_URL = "https://graphql.anilist.co";
 
 const genAI = process.env.GOOGLE_AI_API_KEY
   ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY)
   : null;
 
 /* ===============================
-   SIMPLE CACHE (FREE PLAN SAFE)
+   CACHE (FREE PLAN SAFE)
 ================================ */
 
-const cache = new Map();
-const CACHE_DURATION = 1000 * 60 * 20; // 20 minutes
-
-function getCache(key) {
-  const data = cache.get(key);
-  if (!data) return null;
-  if (Date.now() - data.timestamp > CACHE_DURATION) {
-    cache.delete(key);
-    return null;
-  }
-  return data.value;
-}
-
-function setCache(key, value) {
-  cache.set(key, { value, timestamp: Date.now() });
-}
+const cache = createCache("anime", {
+  ttl: 1000 * 60 * 20, // 20 minutes
+  staleWhileRevalidate: 1000 * 60 * 60,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 500
+});
 
 /* ===============================
    HELPERS
@@ -38,14 +32,6 @@ function cleanSlug(slug) {
   return slug.replace(/[^a-z0-9-]/gi, "");
 }
 
-async function safeAniListQuery(query, variables = {}) {
-  return axios.post(
-    ANILIST_URL,
-    { query, variables },
-    { timeout: 10000 }
-  );
-}
-
 /* ===============================
    ANIME DETAILS
 ================================ */
@@ -53,11 +39,6 @@ async function safeAniListQuery(query, variables = {}) {
 router.get("/:slug", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const cacheKey = `anime-${slug}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const query = `
@@ -79,36 +60,38 @@ router.get("/:slug", async (req, res) => {
       }
     `;
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const anime = response.data.data.Media;
+    const entry = await cache.wrap(`anime-${slug}`, async () => {
+      const data = await anilistQuery(query, { search: searchTerm });
+      const anime = data.Media;
+      if (!anime) return null;
 
-    if (!anime) {
-      return res.status(404).json({ error: "Anime not found" });
-    }
-
-    let uniqueDescription = anime.description;
+      let uniqueDescription = anime.description;
 
-    // Generate AI description only once and cache it
-    if (genAI) {
-      try {
-        const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-        const prompt = `Write a short 120-word engaging summary of the anime "${anime.title.romaji}". Make it unique and SEO friendly.`;
+      // Generate AI description only once and cache it
+      if (genAI) {
+        try {
+          const model = genAI.getGenerativeModel({ model: "gemini-pro" });
+          const prompt = `Write a short 120-word engaging summary of the anime "${anime.title.romaji}". Make it unique and SEO friendly.`;
 
-        const result = await model.generateContent(prompt);
-        uniqueDescription = result.response.text();
-      } catch {
-        // silently fail
+          const result = await model.generateContent(prompt);
+          uniqueDescription = result.response.text();
+        } catch {
+          // silently fail
+        }
       }
-    }
 
-    const finalData = {
-      ...anime,
-      uniqueDescription,
-      slug
-    };
+      return {
+        ...anime,
+        uniqueDescription,
+        slug
+      };
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
 
-    setCache(cacheKey, finalData);
-    res.json(finalData);
+    sendCached(res, entry);
 
   } catch (error) {
     console.error("Anime fetch error:", error.message);
@@ -124,11 +107,6 @@ router.get("/:slug/episode/:number", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
     const episodeNum = parseInt(req.params.number);
-    const cacheKey = `anime-${slug}-ep-${episodeNum}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const query = `
@@ -138,24 +116,30 @@ router.get("/:slug/episode/:number", async (req, res) => {
           title { romaji english }
           episodes
           status
+          nextAiringEpisode { episode airingAt }
         }
       }
     `;
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const anime = response.data.data.Media;
+    const entry = await cache.wrap(`anime-${slug}-episodes`, async () => {
+      const data = await anilistQuery(query, { search: searchTerm });
+      return { anime: data.Media };
+    });
 
-    const result = {
-      anime,
-      episode: {
-        number: episodeNum,
-        isAired: episodeNum <= (anime?.episodes || 0),
-        slug
+    // Worked out per request so an episode flips to aired on time
+    const { anime } = entry.value;
+
+    sendCached(res, {
+      ...entry,
+      value: {
+        anime,
+        episode: {
+          number: episodeNum,
+          isAired: isEpisodeAired(anime, episodeNum),
+          slug
+        }
       }
-    };
-
-    setCache(cacheKey, result);
-    res.json(result);
+    }, { computed: true });
 
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch episode" });
@@ -163,72 +147,84 @@ router.get("/:slug/episode/:number", async (req, res) => {
 });
 
 /* ===============================
-   CONTINUE MANGA
+   EPISODE SCHEDULE
+   Exact air time from AniList airingSchedule, converted to
+   JST, PT/ET, UK time and IST, plus delay detection against
+   the show's usual (weekly) cadence.
 ================================ */
 
-router.get("/:slug/continue-manga", async (req, res) => {
+router.get("/:slug/episode/:number/schedule", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const cacheKey = `continue-${slug}`;
+    const episodeNum = parseInt(req.params.number);
 
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
+    if (!(episodeNum > 0)) {
+      return res.status(400).json({ error: "Invalid episode number" });
+    }
 
-    const searchTerm = slug.replace(/-/g, " ");
+    const id = await resolveSlug(slug, "ANIME");
+    const entry = id ? await getEpisodeSchedule(id, episodeNum) : { value: null };
 
-    const query = `
-      query ($search: String) {
-        Media(search: $search, type: ANIME) {
-          title { romaji english }
-          episodes
-          relations {
-            edges {
-              relationType
-              node {
-                type
-                title { romaji english }
-                chapters
-              }
-            }
-          }
-        }
-      }
-    `;
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const anime = response.data.data.Media;
+    // timeUntilAiring counts down on every request
+    sendCached(res, { ...entry, value: { ...entry.value, slug } }, { computed: true });
 
-    const mangaSource = anime?.relations?.edges?.find(
-      e => e.node.type === "MANGA"
-    );
+  } catch (error) {
+    console.error("Episode schedule error:", error.message);
+    res.status(500).json({ error: "Failed to fetch episode schedule" });
+  }
+});
 
-    let result;
+/* ===============================
+   CONTINUE MANGA
+   Uses the anime's SOURCE manga and the continuation mapping
+   (lib/continuations.js); `continuation.source` says whether the
+   chapter is curated, community-voted or an estimate.
+================================ */
 
-    if (mangaSource) {
-      const estimatedChapter = Math.ceil((anime.episodes || 12) * 2.5);
+router.get("/:slug/continue-manga", async (req, res) => {
+  try {
+    const slug = cleanSlug(req.params.slug);
+
+    // Only the AniList relations are cached; the mapping is applied per
+    // request so votes, reviews and reverts show up at once
+    const entry = await cache.wrap(`continue-${slug}`, async () => {
+      const id = await resolveSlug(slug, "ANIME");
+      return id && findSource(id);
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+
+    const { anime, source, seasons } = entry.value;
+    const continuation = continuationFor(entry.value);
 
-      result = {
+    sendCached(res, {
+      ...entry,
+      value: {
         anime: anime.title,
-        manga: {
-          title: mangaSource.node.title,
-          totalChapters: mangaSource.node.chapters,
-          continueFromChapter: estimatedChapter,
-          isEstimate: true
+        animeId: anime.id,
+        manga: source && {
+          id: source.id,
+          title: source.title,
+          format: source.format,
+          totalChapters: source.chapters,
+          totalVolumes: source.volumes,
+          continueFromChapter: continuation?.nextChapter ?? null,
+          isEstimate: continuation?.isEstimate ?? true
         },
+        continuation,
+        seasons,
         slug
-      };
-    } else {
-      result = {
-        anime: anime?.title,
-        manga: null,
-        slug
-      };
-    }
-
-    setCache(cacheKey, result);
-    res.json(result);
+      }
+    }, { computed: true });
 
-  } catch {
+  } catch (error) {
+    console.error("Continuation error:", error.message);
     res.status(500).json({ error: "Failed to fetch continuation info" });
   }
 });
@@ -240,11 +236,6 @@ router.get("/:slug/continue-manga", async (req, res) => {
 router.get("/:slug/similar", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const cacheKey = `similar-${slug}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const query = `
@@ -256,13 +247,6 @@ router.get("/:slug/similar", async (req, res) => {
       }
     `;
 
-    const original = await safeAniListQuery(query, { search: searchTerm });
-    const media = original.data.data.Media;
-
-    if (!media) {
-      return res.status(404).json({ error: "Anime not found" });
-    }
-
     const similarQuery = `
       query ($genres: [String], $excludeId: Int) {
         Page(perPage: 15) {
@@ -276,18 +260,27 @@ router.get("/:slug/similar", async (req, res) => {
       }
     `;
 
-    const similar = await safeAniListQuery(similarQuery, {
-      genres: media.genres.slice(0, 3),
-      excludeId: media.id
+    const entry = await cache.wrap(`similar-${slug}`, async () => {
+      const original = await anilistQuery(query, { search: searchTerm });
+      const media = original.Media;
+      if (!media) return null;
+
+      const similar = await anilistQuery(similarQuery, {
+        genres: media.genres.slice(0, 3),
+        excludeId: media.id
+      });
+
+      return {
+        similar: similar.Page.media,
+        slug
+      };
     });
 
-    const result = {
-      similar: similar.data.data.Page.media,
-      slug
-    };
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
 
-    setCache(cacheKey, result);
-    res.json(result);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch similar anime" });
@@ -316,13 +309,18 @@ router.get("/seasonal/:season/:year", async (req, res) => {
       }
     `;
 
-    const response = await safeAniListQuery(query, {
+    const variables = {
       season: season.toUpperCase(),
       year: parseInt(year),
       page
+    };
+
+    const entry = await cache.wrap(`seasonal-${variables.season}-${variables.year}-${page}`, async () => {
+      const data = await anilistQuery(query, variables);
+      return data.Page;
     });
 
-    res.json(response.data.data.Page);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch seasonal anime" });
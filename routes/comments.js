@@ -1,17 +1,62 @@
 import express from "express";
+import { getCommentStore, newId } from "../lib/comments/store.js";
+import { issueToken, canModify } from "../lib/comments/tokens.js";
+import { COMMENT_SORTS, REPLY_SORTS, decodeCursor, paginate } from "../lib/comments/paginate.js";
+import { isSubjectNumber, makeSubject, subjectKey } from "../lib/comments/threads.js";
+import { parseChapter, parseSpoilers, viewSpoilers } from "../lib/comments/spoilers.js";
+import { TRENDING_WINDOWS, rankTrending } from "../lib/comments/trending.js";
+import {
+  REPORT_REASONS,
+  addReport,
+  checkText,
+  findBan,
+  isPublic,
+  visibleOnly
+} from "../lib/comments/moderation.js";
+import { subscribe, publish, closeAllStreams } from "../lib/comments/live.js";
+import {
+  getRating,
+  parseRating,
+  ratingSummary,
+  removeRating,
+  seriesRatingSummary,
+  setRating
+} from "../lib/ratings.js";
+import { isRegisteredName } from "../lib/users.js";
+import { strictVoterId, hashIdentity } from "../lib/voter.js";
+import { createCache } from "../lib/cache.js";
+import { onShutdown } from "../lib/shutdown.js";
 
 const router = express.Router();
 
+// Handlers for a single discussion thread, mounted once per
+// subject kind (see SUBJECTS); `req.thread` is `{ subject, key }`
+const thread = express.Router();
+
 /* ===============================
    CONFIG (FREE PLAN SAFE)
 ================================ */
 
-let comments = {};
+const store = await getCommentStore();
+onShutdown(closeAllStreams);
+
+const trendingCache = createCache("comments-trending", {
+  ttl: 1000 * 60, // 1 minute
+  maxEntries: 20
+});
 
-const MAX_COMMENTS_PER_CHAPTER = 200;
-const MAX_REPLIES_PER_COMMENT = 50;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_REPLY_PREVIEW = 3;
+const MAX_REPLY_PREVIEW = 10;
 const MAX_TEXT_LENGTH = 500;
 const MAX_USERNAME_LENGTH = 30;
+const MAX_EDIT_HISTORY = 10;
+
+// Threads are kept forever unless COMMENTS_RETENTION_DAYS is set, in which
+// case comments with no activity (edits or replies) for that long are pruned
+const RETENTION_DAYS = Number(process.env.COMMENTS_RETENTION_DAYS) || 0;
+const RETENTION_SWEEP_INTERVAL = 6 * 60 * 60 * 1000;
 
 // Simple rate limit per IP (very lightweight)
 const requestTracker = {};
@@ -49,198 +94,895 @@ function rateLimit(ip) {
   return true;
 }
 
+// Strip stored secrets, voter hashes, reports, moderator bookkeeping and
+// edit history before anything leaves the server (old texts are not
+// spoiler-masked, so only the edit count is shown). `voter` is the
+// caller's voter id, used to report `likedByMe`; `view`
+// (`{ readUpTo, chapter }`) decides which spoilers are masked.
+function publicReply(reply, voter = null, view = {}) {
+  const {
+    tokenHash, authorHash, reports, approvedAt, approvedBy, hiddenAt,
+    likedBy = [], likedAt, edits = [], ...rest
+  } = reply;
+  return {
+    ...rest,
+    ...viewSpoilers(reply, view),
+    editCount: edits.length,
+    likedByMe: Boolean(voter) && likedBy.includes(voter)
+  };
+}
+
+function publicComment(comment, voter = null, view = {}) {
+  const {
+    tokenHash, authorHash, reports, approvedAt, approvedBy, hiddenAt,
+    likedBy = [], likedAt, edits = [], ...rest
+  } = comment;
+  const replyView = { ...view, inheritedSpoilsUpTo: comment.spoilsUpTo ?? null };
+
+  return {
+    ...rest,
+    ...viewSpoilers(comment, view),
+    editCount: edits.length,
+    likedByMe: Boolean(voter) && likedBy.includes(voter),
+    replies: (rest.replies || []).map(reply => publicReply(reply, voter, replyView))
+  };
+}
+
+/**
+ * Likes or unlikes `item` for `voter`. Without an explicit `liked`
+ * the current state is toggled. Returns the resulting state.
+ */
+function setLike(item, voter, liked) {
+  const likedBy = item.likedBy || [];
+  const hasLiked = likedBy.includes(voter);
+  const wantLiked = typeof liked === "boolean" ? liked : !hasLiked;
+
+  if (wantLiked && !hasLiked) {
+    item.likedBy = [...likedBy, voter];
+    item.likedAt = { ...item.likedAt, [voter]: new Date().toISOString() };
+    item.likes = (item.likes || 0) + 1;
+  } else if (!wantLiked && hasLiked) {
+    const { [voter]: _, ...likedAt } = item.likedAt || {};
+    item.likedBy = likedBy.filter(v => v !== voter);
+    item.likedAt = likedAt;
+    item.likes = Math.max((item.likes || 0) - 1, 0);
+  }
+
+  return wantLiked;
+}
+
+// Top-level comment with only the first few replies; the rest of the
+// thread is fetched lazily from the replies endpoint
+function collapsedComment(comment, voter, preview, view) {
+  const replies = comment.replies || [];
+  const page = preview > 0
+    ? paginate(replies, REPLY_SORTS, "oldest", { limit: preview })
+    : { items: [], nextCursor: null };
+
+  return {
+    ...publicComment({ ...comment, replies: page.items }, voter, view),
+    replyCount: replies.length,
+    repliesCursor: page.nextCursor
+  };
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Reads `sort`, `cursor` and `limit` from the query string.
+ * Returns `{ error }` when the sort or cursor is not usable.
+ */
+function pageQuery(query, sorts, defaultSort) {
+  const sort = query.sort || defaultSort;
+
+  if (!Object.hasOwn(sorts, sort)) {
+    return { error: `Unknown sort "${sort}"` };
+  }
+
+  const after = query.cursor ? decodeCursor(query.cursor, sort) : null;
+
+  if (query.cursor && !after) {
+    return { error: "Invalid cursor" };
+  }
+
+  return {
+    sort,
+    after,
+    limit: clampInt(query.limit, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * Who a new post is by: the signed-in account, or a guest name that
+ * does not belong to a registered account.
+ */
+function postAuthor(req, username) {
+  if (req.user) {
+    return {
+      username: req.user.username,
+      displayName: req.user.displayName,
+      userId: req.user.id
+    };
+  }
+
+  const cleanUsername = cleanInput(username, MAX_USERNAME_LENGTH);
+
+  if (!cleanUsername) {
+    return { code: 400, error: "Username is required" };
+  }
+
+  if (isRegisteredName(cleanUsername)) {
+    return { code: 409, error: "That username belongs to an account; sign in to use it" };
+  }
+
+  return { username: cleanUsername };
+}
+
+/**
+ * Applies bans and the word filter to a post. Returns `{ code, error }`
+ * when it must be refused, otherwise the moderation fields to store.
+ */
+function screenPost(req, username, text) {
+  const authorHash = hashIdentity(req.ip);
+
+  if (findBan({ username, authorHash })) {
+    return { code: 403, error: "You are banned from commenting" };
+  }
+
+  const { action } = checkText(`${username} ${text}`);
+
+  if (action === "reject") {
+    return { code: 400, error: "Your post contains blocked words" };
+  }
+
+  return { authorHash, status: action === "hold" ? "held" : "visible" };
+}
+
+/**
+ * Spoiler view for GET requests. Returns `{ error }` for a bad `readUpTo`.
+ */
+function spoilerView(query, subject) {
+  const readUpTo = parseChapter(query.readUpTo);
+
+  if (query.readUpTo !== undefined && readUpTo === null) {
+    return { error: "readUpTo must be a chapter number" };
+  }
+
+  return { readUpTo, chapter: parseChapter(subject.number) };
+}
+
+/* ===============================
+   LIVE EVENTS
+   Pushed to the thread's SSE stream after each write.
+================================ */
+
+function publishComment(key, event, comment) {
+  publish(key, event, client =>
+    collapsedComment(comment, client.voter, DEFAULT_REPLY_PREVIEW, client.view)
+  );
+}
+
+function publishReply(key, event, comment, reply) {
+  publish(key, event, client => ({
+    commentId: comment.id,
+    reply: publicReply(reply, client.voter, {
+      ...client.view,
+      inheritedSpoilsUpTo: comment.spoilsUpTo ?? null
+    })
+  }));
+}
+
+function publishLike(key, commentId, replyId, likes) {
+  publish(key, "like", () => ({ commentId, replyId, likes }));
+}
+
+function publishDeletion(key, commentId, replyId = null) {
+  publish(key, "delete", () => ({ commentId, replyId }));
+}
+
+function applyEdit(item, text) {
+  item.edits = [
+    ...(item.edits || []),
+    { text: item.text, editedAt: new Date().toISOString() }
+  ].slice(-MAX_EDIT_HISTORY);
+  item.text = text;
+  item.segments = parseSpoilers(text);
+  item.editedAt = new Date().toISOString();
+}
+
 /* ===============================
    GET COMMENTS
+   ?sort=newest|oldest|top|controversial &cursor= &limit=
+   ?replies=N inlines the first N replies of each comment (default 3)
+   ?readUpTo=N masks spoilers for chapters after N
 ================================ */
 
-router.get("/:mangaSlug/:chapterNumber", (req, res) => {
-  const { mangaSlug, chapterNumber } = req.params;
-  const key = `${mangaSlug}-${chapterNumber}`;
+thread.get("/", async (req, res) => {
+  try {
+    const query = pageQuery(req.query, COMMENT_SORTS, "newest");
+    const view = spoilerView(req.query, req.thread.subject);
+
+    if (query.error || view.error) {
+      return res.status(400).json({ error: query.error || view.error });
+    }
 
-  res.json({
-    comments: comments[key] || [],
-    total: (comments[key] || []).length
+    const comments = visibleOnly(await store.list(req.thread.key));
+    const page = paginate(comments, COMMENT_SORTS, query.sort, query);
+
+    const voter = strictVoterId(req);
+    const preview = clampInt(req.query.replies, DEFAULT_REPLY_PREVIEW, 0, MAX_REPLY_PREVIEW);
+
+    res.json({
+      comments: page.items.map(comment => collapsedComment(comment, voter, preview, view)),
+      total: comments.length,
+      sort: query.sort,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (err) {
+    console.error("Comments fetch error:", err.message);
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+});
+
+/* ===============================
+   LIVE STREAM (SSE)
+   Events: comment, reply, edit, like, delete, presence.
+   ?readUpTo=N masks spoilers exactly like GET COMMENTS.
+================================ */
+
+thread.get("/stream", (req, res) => {
+  const view = spoilerView(req.query, req.thread.subject);
+
+  if (view.error) {
+    return res.status(400).json({ error: view.error });
+  }
+
+  const opened = subscribe(req.thread.key, req, res, {
+    voter: strictVoterId(req),
+    view
   });
+
+  if (!opened) {
+    res.status(429).json({ error: "Too many open streams" });
+  }
+});
+
+/* ===============================
+   GET REPLIES
+   ?sort=oldest|newest|top &cursor= &limit= &readUpTo=
+================================ */
+
+thread.get("/:commentId/replies", async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const query = pageQuery(req.query, REPLY_SORTS, "oldest");
+    const view = spoilerView(req.query, req.thread.subject);
+
+    if (query.error || view.error) {
+      return res.status(400).json({ error: query.error || view.error });
+    }
+
+    const comment = await store.get(req.thread.key, commentId);
+
+    if (!comment || !isPublic(comment)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const replies = (comment.replies || []).filter(isPublic);
+    const page = paginate(replies, REPLY_SORTS, query.sort, query);
+    const voter = strictVoterId(req);
+    const replyView = { ...view, inheritedSpoilsUpTo: comment.spoilsUpTo ?? null };
+
+    res.json({
+      replies: page.items.map(reply => publicReply(reply, voter, replyView)),
+      total: replies.length,
+      sort: query.sort,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (err) {
+    console.error("Replies fetch error:", err.message);
+    res.status(500).json({ error: "Failed to fetch replies" });
+  }
+});
+
+/* ===============================
+   RATINGS
+   One 1-5 rating per account, or per IP for guests, per thread;
+   rating again replaces it.
+   Series threads also return the rollup of every chapter/episode.
+================================ */
+
+function ratingResponse(req) {
+  const { key, subject } = req.thread;
+
+  return {
+    ...ratingSummary(key),
+    myRating: getRating(key, strictVoterId(req)),
+    ...(!subject.unit && { rollup: seriesRatingSummary(subject.type, subject.slug) })
+  };
+}
+
+thread.get("/rating", (req, res) => {
+  res.json(ratingResponse(req));
+});
+
+thread.post("/rating", (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
+  }
+
+  const rating = parseRating(req.body?.rating);
+
+  if (rating === null) {
+    return res.status(400).json({ error: "rating must be a whole number from 1 to 5" });
+  }
+
+  setRating(req.thread.key, strictVoterId(req), rating);
+  res.json({ success: true, ...ratingResponse(req) });
+});
+
+thread.delete("/rating", (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
+  }
+
+  removeRating(req.thread.key, strictVoterId(req));
+  res.json({ success: true, ...ratingResponse(req) });
 });
 
 /* ===============================
    POST COMMENT
 ================================ */
 
-router.post("/:mangaSlug/:chapterNumber", (req, res) => {
+thread.post("/", async (req, res) => {
   const ip = req.ip;
 
   if (!rateLimit(ip)) {
     return res.status(429).json({ error: "Too many requests" });
   }
 
-  const { mangaSlug, chapterNumber } = req.params;
-  const { username, text, rating } = req.body;
+  try {
+    const { username, text, rating, spoilsUpTo } = req.body;
+    const cleanText = cleanInput(text, MAX_TEXT_LENGTH);
+
+    if (!cleanText) {
+      return res.status(400).json({ error: "Comment text is required" });
+    }
+
+    const author = postAuthor(req, username);
+
+    if (author.error) {
+      return res.status(author.code).json({ error: author.error });
+    }
+
+    const screening = screenPost(req, author.username, cleanText);
+
+    if (screening.error) {
+      return res.status(screening.code).json({ error: screening.error });
+    }
+
+    const { key } = req.thread;
+    const { token, tokenHash } = issueToken();
+
+    const newComment = {
+      id: newId(),
+      subject: req.thread.subject,
+      ...author,
+      text: cleanText,
+      segments: parseSpoilers(cleanText),
+      spoilsUpTo: parseChapter(spoilsUpTo),
+      rating: parseRating(rating),
+      timestamp: new Date().toISOString(),
+      likes: 0,
+      likedBy: [],
+      replies: [],
+      tokenHash,
+      authorHash: screening.authorHash,
+      status: screening.status
+    };
+
+    await store.insert(key, newComment);
+
+    // A rating posted with a comment is the voter's rating of the thread
+    if (newComment.rating) setRating(key, strictVoterId(req), newComment.rating);
+    if (isPublic(newComment)) publishComment(key, "comment", newComment);
+
+    // The token is only ever returned here; the frontend keeps it to edit or delete later
+    res.json({
+      success: true,
+      comment: publicComment(newComment),
+      token
+    });
+
+  } catch (err) {
+    console.error("Comment post error:", err.message);
+    res.status(500).json({ error: "Failed to post comment" });
+  }
+});
 
-  const cleanUsername = cleanInput(username, MAX_USERNAME_LENGTH);
-  const cleanText = cleanInput(text, MAX_TEXT_LENGTH);
+/* ===============================
+   LIKE / UNLIKE
+   Toggles by default; send `{ "liked": true|false }` to set explicitly.
+================================ */
 
-  if (!cleanText) {
-    return res.status(400).json({ error: "Comment text is required" });
+thread.post("/:commentId/like", async (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
   }
 
-  if (!cleanUsername) {
-    return res.status(400).json({ error: "Username is required" });
-  }
+  try {
+    const { commentId } = req.params;
+    const { key } = req.thread;
+
+    const comment = await store.get(key, commentId);
 
-  const key = `${mangaSlug}-${chapterNumber}`;
+    if (!comment || !isPublic(comment)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
 
-  if (!comments[key]) {
-    comments[key] = [];
+    const liked = setLike(comment, strictVoterId(req), req.body?.liked);
+    await store.update(key, comment);
+    publishLike(key, commentId, null, comment.likes);
+
+    res.json({
+      success: true,
+      likes: comment.likes,
+      liked
+    });
+
+  } catch (err) {
+    console.error("Comment like error:", err.message);
+    res.status(500).json({ error: "Failed to like comment" });
   }
+});
 
-  // Limit total comments per chapter
-  if (comments[key].length >= MAX_COMMENTS_PER_CHAPTER) {
-    comments[key].pop(); // remove oldest
+thread.post("/:commentId/replies/:replyId/like", async (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
   }
 
-  const newComment = {
-    id: Date.now().toString(),
-    username: cleanUsername,
-    text: cleanText,
-    rating:
-      typeof rating === "number" && rating >= 1 && rating <= 5
-        ? rating
-        : null,
-    timestamp: new Date().toISOString(),
-    likes: 0,
-    replies: []
-  };
+  try {
+    const { commentId, replyId } = req.params;
+    const { key } = req.thread;
 
-  comments[key].unshift(newComment);
+    const comment = await store.get(key, commentId);
+    const reply = comment?.replies.find(r => r.id === replyId);
 
-  res.json({
-    success: true,
-    comment: newComment
-  });
+    if (!reply || !isPublic(comment) || !isPublic(reply)) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    const liked = setLike(reply, strictVoterId(req), req.body?.liked);
+    await store.update(key, comment);
+    publishLike(key, commentId, replyId, reply.likes);
+
+    res.json({
+      success: true,
+      likes: reply.likes,
+      liked
+    });
+
+  } catch (err) {
+    console.error("Reply like error:", err.message);
+    res.status(500).json({ error: "Failed to like reply" });
+  }
 });
 
 /* ===============================
-   LIKE COMMENT
+   REPORT COMMENT / REPLY
+   One report per voter; items are hidden for moderator
+   review once they reach the report threshold.
 ================================ */
 
-router.post("/:mangaSlug/:chapterNumber/:commentId/like", (req, res) => {
-  const { mangaSlug, chapterNumber, commentId } = req.params;
-  const key = `${mangaSlug}-${chapterNumber}`;
+// Spoiler reports may say which chapter the post spoils
+function reportInput(body) {
+  const reason = body?.reason;
 
-  if (!comments[key]) {
-    return res.status(404).json({ error: "No comments found" });
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `reason must be one of ${REPORT_REASONS.join(", ")}` };
   }
 
-  const comment = comments[key].find(c => c.id === commentId);
+  return {
+    reason,
+    details: cleanInput(body.details, MAX_TEXT_LENGTH),
+    chapter: reason === "spoiler" ? parseChapter(body.chapter) : null
+  };
+}
 
-  if (!comment) {
-    return res.status(404).json({ error: "Comment not found" });
+thread.post("/:commentId/report", async (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
   }
 
-  comment.likes += 1;
+  try {
+    const { commentId } = req.params;
+    const input = reportInput(req.body);
 
-  res.json({
-    success: true,
-    likes: comment.likes
-  });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
+
+    if (!comment || !isPublic(comment)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (addReport(comment, strictVoterId(req), input)) {
+      await store.update(key, comment);
+      if (!isPublic(comment)) publishDeletion(key, commentId);
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error("Comment report error:", err.message);
+    res.status(500).json({ error: "Failed to report comment" });
+  }
+});
+
+thread.post("/:commentId/replies/:replyId/report", async (req, res) => {
+  if (!rateLimit(req.ip)) {
+    return res.status(429).json({ error: "Too many requests" });
+  }
+
+  try {
+    const { commentId, replyId } = req.params;
+    const input = reportInput(req.body);
+
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
+    const reply = comment?.replies.find(r => r.id === replyId);
+
+    if (!reply || !isPublic(comment) || !isPublic(reply)) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    if (addReport(reply, strictVoterId(req), input)) {
+      await store.update(key, comment);
+      if (!isPublic(reply)) publishDeletion(key, commentId, replyId);
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error("Reply report error:", err.message);
+    res.status(500).json({ error: "Failed to report reply" });
+  }
 });
 
 /* ===============================
    REPLY TO COMMENT
 ================================ */
 
-router.post("/:mangaSlug/:chapterNumber/:commentId/reply", (req, res) => {
+thread.post("/:commentId/reply", async (req, res) => {
   const ip = req.ip;
 
   if (!rateLimit(ip)) {
     return res.status(429).json({ error: "Too many requests" });
   }
 
-  const { mangaSlug, chapterNumber, commentId } = req.params;
-  const { username, text } = req.body;
+  try {
+    const { commentId } = req.params;
+    const { username, text, spoilsUpTo } = req.body;
+    const cleanText = cleanInput(text, MAX_TEXT_LENGTH);
+
+    if (!cleanText) {
+      return res.status(400).json({ error: "Invalid reply data" });
+    }
+
+    const author = postAuthor(req, username);
+
+    if (author.error) {
+      return res.status(author.code).json({ error: author.error });
+    }
+
+    const screening = screenPost(req, author.username, cleanText);
+
+    if (screening.error) {
+      return res.status(screening.code).json({ error: screening.error });
+    }
+
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
+
+    if (!comment || !isPublic(comment)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const { token, tokenHash } = issueToken();
+
+    const reply = {
+      id: newId(),
+      ...author,
+      text: cleanText,
+      segments: parseSpoilers(cleanText),
+      spoilsUpTo: parseChapter(spoilsUpTo),
+      timestamp: new Date().toISOString(),
+      likes: 0,
+      likedBy: [],
+      tokenHash,
+      authorHash: screening.authorHash,
+      status: screening.status
+    };
+
+    comment.replies.push(reply);
+    await store.update(key, comment);
+    if (isPublic(reply)) publishReply(key, "reply", comment, reply);
+
+    res.json({
+      success: true,
+      reply: publicReply(reply),
+      token
+    });
+
+  } catch (err) {
+    console.error("Comment reply error:", err.message);
+    res.status(500).json({ error: "Failed to post reply" });
+  }
+});
 
-  const cleanUsername = cleanInput(username, MAX_USERNAME_LENGTH);
-  const cleanText = cleanInput(text, MAX_TEXT_LENGTH);
+/* ===============================
+   EDIT COMMENT / REPLY
+   Requires the author token or the admin token.
+================================ */
 
-  if (!cleanText || !cleanUsername) {
-    return res.status(400).json({ error: "Invalid reply data" });
-  }
+thread.patch("/:commentId", async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const cleanText = cleanInput(req.body.text, MAX_TEXT_LENGTH);
 
-  const key = `${mangaSlug}-${chapterNumber}`;
+    if (!cleanText) {
+      return res.status(400).json({ error: "Comment text is required" });
+    }
 
-  if (!comments[key]) {
-    return res.status(404).json({ error: "No comments found" });
-  }
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
 
-  const comment = comments[key].find(c => c.id === commentId);
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
 
-  if (!comment) {
-    return res.status(404).json({ error: "Comment not found" });
-  }
+    if (!canModify(req, comment)) {
+      return res.status(403).json({ error: "Not allowed to edit this comment" });
+    }
+
+    const screening = screenPost(req, comment.username, cleanText);
+
+    if (screening.error) {
+      return res.status(screening.code).json({ error: screening.error });
+    }
+
+    applyEdit(comment, cleanText);
+    if ("spoilsUpTo" in req.body) comment.spoilsUpTo = parseChapter(req.body.spoilsUpTo);
+    if (screening.status === "held") comment.status = "held";
+    await store.update(key, comment);
 
-  if (comment.replies.length >= MAX_REPLIES_PER_COMMENT) {
-    comment.replies.shift(); // remove oldest reply
+    if (isPublic(comment)) publishComment(key, "edit", comment);
+    else publishDeletion(key, commentId);
+
+    res.json({
+      success: true,
+      comment: publicComment(comment, strictVoterId(req))
+    });
+
+  } catch (err) {
+    console.error("Comment edit error:", err.message);
+    res.status(500).json({ error: "Failed to edit comment" });
   }
+});
 
-  const reply = {
-    id: Date.now().toString(),
-    username: cleanUsername,
-    text: cleanText,
-    timestamp: new Date().toISOString(),
-    likes: 0
-  };
+thread.patch("/:commentId/replies/:replyId", async (req, res) => {
+  try {
+    const { commentId, replyId } = req.params;
+    const cleanText = cleanInput(req.body.text, MAX_TEXT_LENGTH);
 
-  comment.replies.push(reply);
+    if (!cleanText) {
+      return res.status(400).json({ error: "Reply text is required" });
+    }
 
-  res.json({
-    success: true,
-    reply
-  });
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
+    const reply = comment?.replies.find(r => r.id === replyId);
+
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    if (!canModify(req, reply)) {
+      return res.status(403).json({ error: "Not allowed to edit this reply" });
+    }
+
+    const screening = screenPost(req, reply.username, cleanText);
+
+    if (screening.error) {
+      return res.status(screening.code).json({ error: screening.error });
+    }
+
+    applyEdit(reply, cleanText);
+    if ("spoilsUpTo" in req.body) reply.spoilsUpTo = parseChapter(req.body.spoilsUpTo);
+    if (screening.status === "held") reply.status = "held";
+    await store.update(key, comment);
+
+    if (isPublic(reply)) publishReply(key, "edit", comment, reply);
+    else publishDeletion(key, commentId, replyId);
+
+    res.json({
+      success: true,
+      reply: publicReply(reply, strictVoterId(req))
+    });
+
+  } catch (err) {
+    console.error("Reply edit error:", err.message);
+    res.status(500).json({ error: "Failed to edit reply" });
+  }
 });
 
 /* ===============================
-   DELETE COMMENT
+   DELETE COMMENT / REPLY
+   Requires the author token or the admin token.
 ================================ */
 
-router.delete("/:mangaSlug/:chapterNumber/:commentId", (req, res) => {
-  const { mangaSlug, chapterNumber, commentId } = req.params;
-  const key = `${mangaSlug}-${chapterNumber}`;
+thread.delete("/:commentId", async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
 
-  if (!comments[key]) {
-    return res.status(404).json({ error: "No comments found" });
-  }
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (!canModify(req, comment)) {
+      return res.status(403).json({ error: "Not allowed to delete this comment" });
+    }
 
-  const index = comments[key].findIndex(c => c.id === commentId);
+    await store.remove(key, commentId);
+    publishDeletion(key, commentId);
 
-  if (index === -1) {
-    return res.status(404).json({ error: "Comment not found" });
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error("Comment delete error:", err.message);
+    res.status(500).json({ error: "Failed to delete comment" });
   }
+});
+
+thread.delete("/:commentId/replies/:replyId", async (req, res) => {
+  try {
+    const { commentId, replyId } = req.params;
+    const { key } = req.thread;
+    const comment = await store.get(key, commentId);
+    const reply = comment?.replies.find(r => r.id === replyId);
+
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    if (!canModify(req, reply)) {
+      return res.status(403).json({ error: "Not allowed to delete this reply" });
+    }
 
-  comments[key].splice(index, 1);
+    comment.replies = comment.replies.filter(r => r.id !== replyId);
+    await store.update(key, comment);
+    publishDeletion(key, commentId, replyId);
 
-  res.json({ success: true });
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error("Reply delete error:", err.message);
+    res.status(500).json({ error: "Failed to delete reply" });
+  }
 });
 
 /* ===============================
    TRENDING COMMENTS
+   ?window=24h|7d|30d (default 24h) &limit= (max 50)
 ================================ */
 
-router.get("/trending", (req, res) => {
-  const trending = Object.keys(comments)
-    .map(key => {
-      const [mangaSlug, chapterNumber] = key.split("-");
-      return {
-        mangaSlug,
-        chapterNumber,
-        commentCount: comments[key].length,
-        recentActivity: comments[key][0]?.timestamp || null
-      };
-    })
-    .sort((a, b) => b.commentCount - a.commentCount)
-    .slice(0, 10);
+router.get("/trending", async (req, res) => {
+  try {
+    const window = req.query.window || "24h";
+
+    if (!Object.hasOwn(TRENDING_WINDOWS, window)) {
+      return res.status(400).json({
+        error: `window must be one of ${Object.keys(TRENDING_WINDOWS).join(", ")}`
+      });
+    }
+
+    const limit = clampInt(req.query.limit, 10, 1, MAX_PAGE_SIZE);
+
+    const entry = await trendingCache.wrap(`${window}:${limit}`, async () => {
+      const keys = await store.listThreadKeys();
+      const threads = await Promise.all(
+        keys.map(async key => ({ key, comments: visibleOnly(await store.list(key)) }))
+      );
 
-  res.json({ trending });
+      const { threads: ranked, manga, anime } = rankTrending(threads, window, { limit });
+      return { window, trending: ranked, manga, anime };
+    });
+
+    res.json(entry.value);
+
+  } catch (err) {
+    console.error("Trending comments error:", err.message);
+    res.status(500).json({ error: "Failed to fetch trending comments" });
+  }
 });
 
+/* ===============================
+   SUBJECTS
+   /anime/:slug/episode/:number   anime episode
+   /manga/:slug/chapter/:number   manga chapter
+   /anime/:slug, /manga/:slug     whole series
+   /:mangaSlug/:chapterNumber     manga chapter (original URLs; a manga
+                                  slugged "anime" or "manga" needs the
+                                  typed form)
+   Numbers must be digits with an optional decimal part; anything else
+   is a 400 rather than a thread key that parses back wrongly.
+================================ */
+
+function mountThread(path, toSubject, numberParam = null) {
+  router.use(path, (req, res, next) => {
+    if (numberParam && !isSubjectNumber(req.params[numberParam])) {
+      return res.status(400).json({ error: "Invalid chapter or episode number" });
+    }
+
+    const subject = toSubject(req.params);
+    if (!subject) return next();
+
+    req.thread = { subject, key: subjectKey(subject) };
+    thread(req, res, next);
+  });
+}
+
+mountThread("/:type(anime|manga)/:slug/:unit(chapter|episode)/:number", p => makeSubject(p.type, p.slug, p.unit, p.number), "number");
+mountThread("/:type(anime|manga)/:slug", p => makeSubject(p.type, p.slug));
+mountThread("/:mangaSlug/:chapterNumber", p => makeSubject("manga", p.mangaSlug, "chapter", p.chapterNumber), "chapterNumber");
+
+/* ===============================
+   RETENTION
+================================ */
+
+function lastActivity(comment) {
+  const times = [comment.timestamp, comment.editedAt, ...(comment.replies || []).map(r => r.timestamp)];
+  return Math.max(...times.map(t => Date.parse(t) || 0));
+}
+
+async function sweepExpiredComments() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const key of await store.listThreadKeys()) {
+    for (const comment of await store.list(key)) {
+      if (lastActivity(comment) < cutoff && await store.remove(key, comment.id)) {
+        removed++;
+      }
+    }
+  }
+
+  if (removed) {
+    console.log(`Comment retention: removed ${removed} comments older than ${RETENTION_DAYS} days`);
+  }
+}
+
+if (RETENTION_DAYS > 0) {
+  const sweep = () => sweepExpiredComments().catch(err =>
+    console.error("Comment retention error:", err.message)
+  );
+
+  sweep();
+  setInterval(sweep, RETENTION_SWEEP_INTERVAL).unref();
+}
+
 export default router;
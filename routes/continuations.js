@@ -0,0 +1,119 @@
+import express from "express";
+import {
+  ContinuationError,
+  getContinuation,
+  getCorrection,
+  listCorrections,
+  publicCorrection,
+  removeCorrection,
+  submitCorrection,
+  voteCorrection
+} from "../lib/continuations.js";
+import { requireUser } from "../lib/auth.js";
+
+const router = express.Router();
+
+/* ===============================
+   HELPERS
+================================ */
+
+function sendContinuationError(res, err, fallback) {
+  if (err instanceof ContinuationError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+function parseAnimeId(req, res, next) {
+  const id = parseInt(req.params.animeId);
+  if (!(id > 0)) return res.status(400).json({ error: "Invalid anime ID" });
+
+  req.animeId = id;
+  next();
+}
+
+// Loads the correction into req.correction
+function findCorrection(req, res, next) {
+  const correction = getCorrection(req.animeId, req.params.id);
+  if (!correction) return res.status(404).json({ error: "Correction not found" });
+
+  req.correction = correction;
+  next();
+}
+
+/* ===============================
+   CONTINUATION
+   Where the manga continues after anime :animeId (AniList id),
+   plus the community corrections for it.
+================================ */
+
+router.get("/:animeId", parseAnimeId, async (req, res) => {
+  try {
+    const result = await getContinuation(req.animeId);
+
+    if (!result) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+
+    res.json({
+      ...result,
+      corrections: listCorrections(req.animeId).map(c => publicCorrection(c, req.user?.id))
+    });
+
+  } catch (err) {
+    sendContinuationError(res, err, "Failed to fetch continuation");
+  }
+});
+
+/* ===============================
+   CORRECTIONS
+   POST body: { finalEpisode, lastChapter, lastVolume, note }
+   One pending correction per user per anime; submitting again
+   replaces it. Votes: { vote: 1 | -1 | 0 }. A correction to a curated
+   mapping then waits for a moderator (/api/moderation/continuations).
+================================ */
+
+router.post("/:animeId/corrections", requireUser, parseAnimeId, async (req, res) => {
+  try {
+    const result = await getContinuation(req.animeId);
+
+    if (!result) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+    if (!result.source) {
+      return res.status(409).json({ error: "This anime has no source manga" });
+    }
+
+    const correction = submitCorrection(req.user.id, req.animeId, result.source.id, req.body || {});
+    res.status(201).json({ success: true, correction: publicCorrection(correction, req.user.id) });
+
+  } catch (err) {
+    sendContinuationError(res, err, "Failed to submit correction");
+  }
+});
+
+router.post("/:animeId/corrections/:id/vote", requireUser, parseAnimeId, findCorrection, (req, res) => {
+  try {
+    const correction = voteCorrection(req.correction, req.user.id, Number(req.body?.vote));
+    res.json({ success: true, correction: publicCorrection(correction, req.user.id) });
+
+  } catch (err) {
+    sendContinuationError(res, err, "Failed to record vote");
+  }
+});
+
+router.delete("/:animeId/corrections/:id", requireUser, parseAnimeId, findCorrection, (req, res) => {
+  if (req.correction.userId !== req.user.id) {
+    return res.status(403).json({ error: "You can only remove your own corrections" });
+  }
+  if (req.correction.status !== "pending") {
+    return res.status(409).json({ error: "Only pending corrections can be removed" });
+  }
+
+  removeCorrection(req.correction);
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,462 @@
+import express from "express";
+import { anilistQuery } from "../lib/anilist.js";
+import { createCache } from "../lib/cache.js";
+import { markStale } from "../lib/http.js";
+import { getMedia, resolveSlug } from "../lib/media.js";
+import { fetchLatestChapters, findMangaDexId } from "../lib/mangadex.js";
+import { FEED_TYPES, feedUpdated, plainText, renderAtom, renderRss, tagUri } from "../lib/feeds.js";
+import { CALENDAR_TYPE, episodeUid, renderCalendar } from "../lib/calendar.js";
+import { airingSchedules, seasonOf } from "../lib/schedule.js";
+import { listEntries } from "../lib/library.js";
+import { userForCalendarToken } from "../lib/users.js";
+import { SITE_URL, animeUrl, chapterUrl, episodeUrl, mangaUrl, mediaSlug, slugify } from "../lib/links.js";
+
+const router = express.Router();
+
+/* ===============================
+   CACHE
+================================ */
+
+const cache = createCache("feeds", {
+  ttl: 1000 * 60 * 15, // 15 minutes
+  staleWhileRevalidate: 1000 * 60 * 60,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 500
+});
+
+/* ===============================
+   HELPERS
+================================ */
+
+const EXTENSIONS = { rss: "xml", atom: "atom" };
+
+function feedFormat(ext) {
+  return ext === "atom" ? "atom" : "rss";
+}
+
+// Self link for this format plus the link to the other one
+function feedUrls(path, format) {
+  const other = format === "rss" ? "atom" : "rss";
+  return {
+    selfUrl: `${SITE_URL}/feeds/${path}.${EXTENSIONS[format]}`,
+    alternateUrl: `${SITE_URL}/feeds/${path}.${EXTENSIONS[other]}`
+  };
+}
+
+/**
+ * Sends a feed. Last-Modified is the newest item, and together with the
+ * body ETag Express answers If-None-Match / If-Modified-Since with 304.
+ */
+function sendFeed(res, format, feed, stale) {
+  if (stale) markStale(res);
+
+  res.setHeader("Content-Type", FEED_TYPES[format]);
+  res.setHeader("Last-Modified", feed.updated.toUTCString());
+  res.send(format === "atom" ? renderAtom(feed) : renderRss(feed));
+}
+
+function titleOf(title) {
+  return title?.english || title?.romaji || "Unknown title";
+}
+
+/* ===============================
+   MANGA CHAPTERS
+   /feeds/manga/:slug.xml (RSS) and .atom
+================================ */
+
+router.get("/manga/:slug.:ext(xml|atom)", async (req, res) => {
+  try {
+    const slug = slugify(req.params.slug);
+    const format = feedFormat(req.params.ext);
+
+    const entry = await cache.wrap(`manga-${slug}`, async () => {
+      const id = await resolveSlug(slug, "MANGA");
+      const media = id && await getMedia(id);
+      if (!media) return null;
+
+      const mangadexId = await findMangaDexId(titleOf(media.title), media.id);
+      const chapters = mangadexId ? await fetchLatestChapters(mangadexId) : [];
+
+      // Several scanlation groups can upload the same chapter; keep the newest
+      const seen = new Set();
+      const unique = chapters.filter(ch => {
+        if (ch.chapter == null || seen.has(ch.chapter)) return false;
+        seen.add(ch.chapter);
+        return true;
+      });
+
+      return {
+        title: media.title,
+        description: media.description,
+        coverImage: media.coverImage?.large || null,
+        chapters: unique
+      };
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
+
+    const manga = entry.value;
+    const title = titleOf(manga.title);
+
+    const items = manga.chapters.map(ch => ({
+      id: tagUri(`manga/${slug}/chapter/${ch.chapter}`),
+      title: `${title} Chapter ${ch.chapter}${ch.title ? `: ${ch.title}` : ""}`,
+      link: chapterUrl(slug, ch.chapter),
+      summary: `Chapter ${ch.chapter} of ${title} is out${ch.pages ? ` (${ch.pages} pages)` : ""}.`,
+      published: ch.publishAt
+    }));
+
+    sendFeed(res, format, {
+      id: tagUri(`manga/${slug}`),
+      title: `${title} - New Chapters | MangaNext`,
+      description: plainText(manga.description) || `New chapters of ${title}`,
+      link: mangaUrl(slug),
+      image: manga.coverImage,
+      updated: feedUpdated(items, entry.timestamp),
+      items,
+      ...feedUrls(`manga/${slug}`, format)
+    }, entry.stale);
+
+  } catch (err) {
+    console.error("Manga feed error:", err.message);
+    res.status(500).json({ error: "Failed to build manga feed" });
+  }
+});
+
+/* ===============================
+   ANIME EPISODES
+   /feeds/anime/:id.xml (RSS) and .atom, from AniList airing data
+================================ */
+
+router.get("/anime/:id.:ext(xml|atom)", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(id > 0)) return res.status(400).json({ error: "Invalid ID" });
+
+    const format = feedFormat(req.params.ext);
+
+    const query = `
+      query ($id: Int, $now: Int) {
+        Media(id: $id, type: ANIME) {
+          id
+          title { romaji english }
+          description(asHtml: false)
+          coverImage { large }
+        }
+        Page(perPage: 25) {
+          airingSchedules(mediaId: $id, airingAt_lesser: $now, sort: TIME_DESC) {
+            id
+            episode
+            airingAt
+          }
+        }
+      }
+    `;
+
+    const entry = await cache.wrap(`anime-${id}`, async () => {
+      const data = await anilistQuery(query, { id, now: Math.floor(Date.now() / 1000) });
+      if (!data.Media) return null;
+
+      return {
+        ...data.Media,
+        aired: data.Page?.airingSchedules || []
+      };
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+
+    const anime = entry.value;
+    const title = titleOf(anime.title);
+    const slug = mediaSlug(anime.title);
+
+    const items = anime.aired.map(schedule => ({
+      id: tagUri(`anime/${id}/episode/${schedule.episode}`),
+      title: `${title} Episode ${schedule.episode}`,
+      link: episodeUrl(id, slug, schedule.episode),
+      summary: `Episode ${schedule.episode} of ${title} has aired.`,
+      published: new Date(schedule.airingAt * 1000).toISOString()
+    }));
+
+    sendFeed(res, format, {
+      id: tagUri(`anime/${id}`),
+      title: `${title} - New Episodes | MangaNext`,
+      description: plainText(anime.description) || `New episodes of ${title}`,
+      link: animeUrl(id, slug),
+      image: anime.coverImage?.large || null,
+      updated: feedUpdated(items, entry.timestamp),
+      items,
+      ...feedUrls(`anime/${id}`, format)
+    }, entry.stale);
+
+  } catch (err) {
+    console.error("Anime feed error:", err.message);
+    res.status(500).json({ error: "Failed to build anime feed" });
+  }
+});
+
+/* ===============================
+   LATEST UPDATES
+   /feeds/latest.xml (RSS) and .atom - the same list as
+   /api/home/latest-manga, one entry per manga update
+================================ */
+
+router.get("/latest.:ext(xml|atom)", async (req, res) => {
+  try {
+    const format = feedFormat(req.params.ext);
+
+    const query = `
+      query {
+        Page(perPage: 20) {
+          media(type: MANGA, sort: UPDATED_AT_DESC) {
+            id
+            title { romaji english }
+            coverImage { large }
+            chapters
+            averageScore
+            updatedAt
+          }
+        }
+      }
+    `;
+
+    const entry = await cache.wrap("latest-manga", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
+
+    const items = entry.value.map(manga => {
+      const slug = mediaSlug(manga.title);
+      const updatedAt = manga.updatedAt || Math.floor(entry.timestamp / 1000);
+      const details = [
+        manga.chapters && `${manga.chapters} chapters`,
+        manga.averageScore && `score ${manga.averageScore}%`
+      ].filter(Boolean).join(", ");
+
+      return {
+        // A new id per update, so readers show each one
+        id: tagUri(`manga/${slug}/updated/${updatedAt}`),
+        title: titleOf(manga.title),
+        link: mangaUrl(slug),
+        summary: details ? `${titleOf(manga.title)} was updated (${details}).` : `${titleOf(manga.title)} was updated.`,
+        published: new Date(updatedAt * 1000).toISOString()
+      };
+    });
+
+    sendFeed(res, format, {
+      id: tagUri("latest"),
+      title: "Latest Manga Updates | MangaNext",
+      description: "Recently updated manga on MangaNext",
+      link: SITE_URL,
+      image: null,
+      updated: feedUpdated(items, entry.timestamp),
+      items,
+      ...feedUrls("latest", format)
+    }, entry.stale);
+
+  } catch (err) {
+    console.error("Latest feed error:", err.message);
+    res.status(500).json({ error: "Failed to build latest feed" });
+  }
+});
+
+/* ===============================
+   AIRING CALENDARS (.ics)
+   /feeds/anime/:id.ics, /feeds/season.ics and
+   /feeds/watching/:token.ics (token from POST /api/users/me/calendar)
+================================ */
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// A single show can cover more time than a list of up to a hundred
+const ANIME_WINDOW = { past: 30 * DAY, ahead: 180 * DAY };
+const LIST_WINDOW = { past: 7 * DAY, ahead: 42 * DAY };
+
+const SEASONS = ["WINTER", "SPRING", "SUMMER", "FALL"];
+
+function scheduleWindow({ past, ahead }) {
+  const now = Date.now();
+  return { from: now - past, to: now + ahead };
+}
+
+/**
+ * Adds each media's nextAiringEpisode when it falls outside the
+ * fetched schedules, so a show on a long break still shows its
+ * next episode.
+ */
+function withNextEpisodes(schedules, mediaList) {
+  const known = new Set(schedules.map(s => `${s.mediaId}-${s.episode}`));
+
+  for (const media of mediaList) {
+    const next = media.nextAiringEpisode;
+    if (!next || known.has(`${media.id}-${next.episode}`)) continue;
+
+    schedules.push({
+      episode: next.episode,
+      airingAt: next.airingAt,
+      mediaId: media.id,
+      media: { title: media.title, episodes: media.episodes, duration: media.duration }
+    });
+  }
+
+  return schedules.sort((a, b) => a.airingAt - b.airingAt);
+}
+
+function calendarEvents(schedules) {
+  return schedules.map(schedule => {
+    const title = titleOf(schedule.media?.title);
+    const url = episodeUrl(schedule.mediaId, mediaSlug(schedule.media?.title), schedule.episode);
+    const final = schedule.episode === schedule.media?.episodes;
+
+    return {
+      uid: episodeUid(schedule.mediaId, schedule.episode),
+      start: schedule.airingAt * 1000,
+      durationMinutes: schedule.media?.duration,
+      summary: `${title} Episode ${schedule.episode}${final ? " (Final)" : ""}`,
+      description: `${title} Episode ${schedule.episode} airs in Japan.\n${url}`,
+      url
+    };
+  });
+}
+
+function sendCalendar(res, calendar, entry, { cacheControl } = {}) {
+  if (entry.stale) markStale(res);
+  if (cacheControl) res.setHeader("Cache-Control", cacheControl);
+
+  res.setHeader("Content-Type", CALENDAR_TYPE);
+  res.setHeader("Last-Modified", new Date(entry.timestamp).toUTCString());
+  res.send(renderCalendar({ ...calendar, updated: entry.timestamp }));
+}
+
+router.get("/anime/:id.ics", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(id > 0)) return res.status(400).json({ error: "Invalid ID" });
+
+    const query = `
+      query ($id: Int) {
+        Media(id: $id, type: ANIME) {
+          id
+          title { romaji english }
+          episodes
+          duration
+          nextAiringEpisode { episode airingAt }
+        }
+      }
+    `;
+
+    const entry = await cache.wrap(`ics-anime-${id}`, async () => {
+      const data = await anilistQuery(query, { id });
+      if (!data.Media) return null;
+
+      const schedules = await airingSchedules([id], scheduleWindow(ANIME_WINDOW));
+      return { ...data.Media, schedules: withNextEpisodes(schedules, [data.Media]) };
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+
+    const anime = entry.value;
+    const title = titleOf(anime.title);
+
+    sendCalendar(res, {
+      name: `${title} | MangaNext`,
+      description: `Episode air times for ${title}`,
+      url: animeUrl(id, mediaSlug(anime.title)),
+      events: calendarEvents(anime.schedules)
+    }, entry);
+
+  } catch (err) {
+    console.error("Anime calendar error:", err.message);
+    res.status(500).json({ error: "Failed to build anime calendar" });
+  }
+});
+
+router.get("/season.ics", async (req, res) => {
+  try {
+    const current = seasonOf();
+    const season = String(req.query.season || current.season).toUpperCase();
+    const year = req.query.year ? parseInt(req.query.year) : current.year;
+
+    if (!SEASONS.includes(season) || !(year > 1900)) {
+      return res.status(400).json({ error: "Invalid season or year" });
+    }
+
+    const query = `
+      query ($season: MediaSeason, $year: Int, $page: Int) {
+        Page(page: $page, perPage: 50) {
+          pageInfo { hasNextPage }
+          media(type: ANIME, season: $season, seasonYear: $year, sort: POPULARITY_DESC) {
+            id
+            title { romaji english }
+            episodes
+            duration
+            nextAiringEpisode { episode airingAt }
+          }
+        }
+      }
+    `;
+
+    const entry = await cache.wrap(`ics-season-${season}-${year}`, async () => {
+      const mediaList = [];
+
+      for (let page = 1; page <= 2; page++) {
+        const data = await anilistQuery(query, { season, year, page });
+        mediaList.push(...(data.Page?.media || []));
+        if (!data.Page?.pageInfo?.hasNextPage) break;
+      }
+
+      const schedules = await airingSchedules(mediaList.map(media => media.id), scheduleWindow(LIST_WINDOW));
+      return withNextEpisodes(schedules, mediaList);
+    });
+
+    const name = `${season.charAt(0)}${season.slice(1).toLowerCase()} ${year}`;
+
+    sendCalendar(res, {
+      name: `${name} Anime | MangaNext`,
+      description: `Episode air times for the ${name} anime season`,
+      url: SITE_URL,
+      events: calendarEvents(entry.value)
+    }, entry);
+
+  } catch (err) {
+    console.error("Season calendar error:", err.message);
+    res.status(500).json({ error: "Failed to build season calendar" });
+  }
+});
+
+router.get("/watching/:token.ics", async (req, res) => {
+  try {
+    const user = userForCalendarToken(req.params.token);
+    if (!user) return res.status(404).json({ error: "Calendar not found" });
+
+    const ids = listEntries(user.id, { status: "watching", type: "ANIME" })
+      .map(item => item.mediaId)
+      .sort((a, b) => a - b);
+
+    // Keyed by the list itself, so library changes show up on the next refresh
+    const entry = await cache.wrap(`ics-watching-${ids.join(",")}`, () =>
+      airingSchedules(ids, scheduleWindow(LIST_WINDOW))
+    );
+
+    sendCalendar(res, {
+      name: `${user.displayName}'s Watching List | MangaNext`,
+      description: "Episode air times for the anime you are watching",
+      url: SITE_URL,
+      events: calendarEvents(entry.value)
+    }, entry, {
+      // The URL is a secret; keep it out of shared caches
+      cacheControl: "private, max-age=900"
+    });
+
+  } catch (err) {
+    console.error("Watching calendar error:", err.message);
+    res.status(500).json({ error: "Failed to build watching calendar" });
+  }
+});
+
+export default router;
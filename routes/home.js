@@ -1,37 +1,23 @@
 import express from "express";
-import axios from "axios";
+import { anilistQuery } from "../lib/anilist.js";
+import { createCache } from "../lib/cache.js";
+import { sendCached } from "../lib/http.js";
 
 const router = express.Router();
-const ANILIST_URL = "https://graphql.anilist.co";
 
 /* ===============================
-   SIMPLE CACHE (FREE PLAN SAFE)
+   CACHE (FREE PLAN SAFE)
 ================================ */
 
-const cache = new Map();
-const CACHE_DURATION = 1000 * 60 * 20; // 20 minutes
-
-function getCache(key) {
-  const data = cache.get(key);
-  if (!data) return null;
-  if (Date.now() - data.timestamp > CACHE_DURATION) {
-    cache.delete(key);
-    return null;
-  }
-  return data.value;
-}
-
-function setCache(key, value) {
-  cache.set(key, { value, timestamp: Date.now() });
-}
-
-async function safeQuery(query, variables = {}) {
-  return axios.post(
-    ANILIST_URL,
-    { query, variables },
-    { timeout: 10000 }
-  );
-}
+// HOME_SNAPSHOTS=true keeps the lists on disk so a cold restart
+// during an AniList outage still has something to serve.
+const cache = createCache("home", {
+  ttl: 1000 * 60 * 20, // 20 minutes
+  staleWhileRevalidate: 1000 * 60 * 40,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 100,
+  backend: process.env.HOME_SNAPSHOTS === "true" ? "disk" : undefined
+});
 
 /* ===============================
    HERO TRENDING ANIME
@@ -39,10 +25,6 @@ async function safeQuery(query, variables = {}) {
 
 router.get("/hero", async (req, res) => {
   try {
-    const cacheKey = "hero";
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query {
         Page(perPage: 10) {
@@ -59,11 +41,12 @@ router.get("/hero", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query);
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap("hero", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch hero anime" });
@@ -76,10 +59,6 @@ router.get("/hero", async (req, res) => {
 
 router.get("/trending", async (req, res) => {
   try {
-    const cacheKey = "trending-anime";
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query {
         Page(perPage: 15) {
@@ -93,11 +72,12 @@ router.get("/trending", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query);
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap("trending-anime", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch trending anime" });
@@ -110,10 +90,6 @@ router.get("/trending", async (req, res) => {
 
 router.get("/trending-manga", async (req, res) => {
   try {
-    const cacheKey = "trending-manga";
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query {
         Page(perPage: 15) {
@@ -128,11 +104,12 @@ router.get("/trending-manga", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query);
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap("trending-manga", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch trending manga" });
@@ -153,10 +130,6 @@ router.get("/seasonal-anime", async (req, res) => {
       return res.status(400).json({ error: "Invalid season or year" });
     }
 
-    const cacheKey = `seasonal-${season}-${year}`;
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query ($season: MediaSeason, $year: Int) {
         Page(perPage: 20) {
@@ -171,11 +144,12 @@ router.get("/seasonal-anime", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query, { season, year });
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap(`seasonal-${season}-${year}`, async () => {
+      const result = await anilistQuery(query, { season, year });
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch seasonal anime" });
@@ -194,10 +168,6 @@ router.get("/top-anime", async (req, res) => {
       ? req.query.sort
       : "SCORE_DESC";
 
-    const cacheKey = `top-anime-${sort}`;
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query ($sort: [MediaSort]) {
         Page(perPage: 20) {
@@ -213,11 +183,12 @@ router.get("/top-anime", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query, { sort });
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap(`top-anime-${sort}`, async () => {
+      const result = await anilistQuery(query, { sort });
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch top anime" });
@@ -230,10 +201,6 @@ router.get("/top-manga", async (req, res) => {
       ? req.query.sort
       : "SCORE_DESC";
 
-    const cacheKey = `top-manga-${sort}`;
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query ($sort: [MediaSort]) {
         Page(perPage: 20) {
@@ -249,11 +216,12 @@ router.get("/top-manga", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query, { sort });
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap(`top-manga-${sort}`, async () => {
+      const result = await anilistQuery(query, { sort });
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch top manga" });
@@ -266,10 +234,6 @@ router.get("/top-manga", async (req, res) => {
 
 router.get("/latest-anime", async (req, res) => {
   try {
-    const cacheKey = "latest-anime";
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query {
         Page(perPage: 20) {
@@ -284,11 +248,12 @@ router.get("/latest-anime", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query);
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap("latest-anime", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch latest anime" });
@@ -297,10 +262,6 @@ router.get("/latest-anime", async (req, res) => {
 
 router.get("/latest-manga", async (req, res) => {
   try {
-    const cacheKey = "latest-manga";
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const query = `
       query {
         Page(perPage: 20) {
@@ -315,11 +276,12 @@ router.get("/latest-manga", async (req, res) => {
       }
     `;
 
-    const response = await safeQuery(query);
-    const data = response.data.data.Page.media;
+    const entry = await cache.wrap("latest-manga", async () => {
+      const result = await anilistQuery(query);
+      return result.Page.media;
+    });
 
-    setCache(cacheKey, data);
-    res.json(data);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch latest manga" });
@@ -0,0 +1,313 @@
+import express from "express";
+import {
+  IMPORT_STRATEGIES,
+  LIBRARY_STATUSES,
+  LibraryError,
+  MEDIA_TYPES,
+  activeStatus,
+  countByStatus,
+  getEntry,
+  importEntries,
+  listEntries,
+  recordProgress,
+  removeEntry,
+  saveEntry
+} from "../lib/library.js";
+import {
+  BackupError,
+  EXPORT_FORMATS,
+  IMPORT_CONTENT_TYPES,
+  IMPORT_FORMATS,
+  SCORE_FORMATS,
+  decodeUpload,
+  matchEntries,
+  parseBackup,
+  toCsv,
+  toMalXml
+} from "../lib/listBackups.js";
+import { getMedia, resolveSlug } from "../lib/media.js";
+import { unreadCounts, unreadFeed } from "../lib/chapterTracker.js";
+import { requireUser } from "../lib/auth.js";
+
+const router = express.Router();
+
+router.use(requireUser);
+
+/* ===============================
+   HELPERS
+================================ */
+
+function cleanSlug(slug) {
+  return slug.replace(/[^a-z0-9-]/gi, "");
+}
+
+function parseMediaId(value) {
+  const id = parseInt(value);
+  return id > 0 ? id : null;
+}
+
+function sendLibraryError(res, err, fallback) {
+  if (err instanceof LibraryError || err instanceof BackupError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+function pickChanges(body = {}) {
+  const changes = {};
+  for (const field of ["status", "progress", "score", "notes"]) {
+    if (field in body) changes[field] = body[field];
+  }
+  return changes;
+}
+
+/* ===============================
+   LIST
+   ?status=reading|watching|completed|planning|dropped
+   ?type=manga|anime
+================================ */
+
+router.get("/", (req, res) => {
+  const status = req.query.status || null;
+  const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+
+  if (status && !LIBRARY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${LIBRARY_STATUSES.join(", ")}` });
+  }
+  if (type && !MEDIA_TYPES.includes(type)) {
+    return res.status(400).json({ error: "type must be manga or anime" });
+  }
+
+  res.json({
+    entries: listEntries(req.user.id, { status, type }),
+    counts: countByStatus(req.user.id)
+  });
+});
+
+// "Continue reading/watching" row: active titles, most recent first
+router.get("/continue", (req, res) => {
+  const entries = listEntries(req.user.id)
+    .filter(entry => entry.status === activeStatus(entry.type))
+    .slice(0, 20);
+
+  res.json({ entries });
+});
+
+/* ===============================
+   NEW CHAPTERS
+   Chapters found by the MangaDex poller past each manga's progress.
+   /feed?limit=30&cursor=<nextCursor>
+================================ */
+
+router.get("/unread", (req, res) => {
+  res.json(unreadCounts(req.user.id));
+});
+
+router.get("/feed", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+  res.json(unreadFeed(req.user.id, { limit, after: req.query.cursor || null }));
+});
+
+/* ===============================
+   PROGRESS FROM READER / PLAYER PAGES
+   The chapter page only knows the manga slug (/manga/:slug/chapter-:number);
+   the episode page has the AniList id (/anime/:id/:slug/episode-:number).
+   Body: { force } to move progress backwards.
+================================ */
+
+async function updateProgress(req, res, media, number) {
+  const { entry, updated } = recordProgress(req.user.id, media, number, {
+    force: req.body?.force === true
+  });
+  res.json({ success: true, updated, entry });
+}
+
+router.post("/progress/manga/:slug/chapter/:number", async (req, res) => {
+  try {
+    const id = await resolveSlug(cleanSlug(req.params.slug), "MANGA");
+    const media = id && await getMedia(id);
+
+    if (!media) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
+
+    await updateProgress(req, res, media, req.params.number);
+
+  } catch (err) {
+    sendLibraryError(res, err, "Failed to update reading progress");
+  }
+});
+
+router.post("/progress/anime/:id/episode/:number", async (req, res) => {
+  try {
+    const id = parseMediaId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+    const media = await getMedia(id);
+
+    if (!media || media.type !== "ANIME") {
+      return res.status(404).json({ error: "Anime not found" });
+    }
+
+    await updateProgress(req, res, media, req.params.number);
+
+  } catch (err) {
+    sendLibraryError(res, err, "Failed to update watch progress");
+  }
+});
+
+/* ===============================
+   IMPORT
+   Body: the exported file as-is (MAL .xml or .xml.gz, AniList .json),
+   sent as one of IMPORT_CONTENT_TYPES.
+   ?format=mal|anilist (detected from the file when omitted)
+   ?scoreFormat=POINT_3|POINT_5|POINT_10|POINT_10_DECIMAL|POINT_100
+   (AniList only; read from the file when it has it)
+   ?strategy=merge|keep|replace for titles already in the library
+   ?dryRun=1 returns the report without saving anything
+================================ */
+
+router.post("/import", async (req, res) => {
+  try {
+    const format = req.query.format || undefined;
+    const scoreFormat = req.query.scoreFormat || undefined;
+    const strategy = req.query.strategy || "merge";
+    const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+
+    if (!req.is(IMPORT_CONTENT_TYPES)) {
+      return res.status(415).json({ error: `Content-Type must be one of: ${IMPORT_CONTENT_TYPES.join(", ")}` });
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(", ")}` });
+    }
+    if (scoreFormat && !SCORE_FORMATS.includes(scoreFormat)) {
+      return res.status(400).json({ error: `scoreFormat must be one of: ${SCORE_FORMATS.join(", ")}` });
+    }
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${IMPORT_STRATEGIES.join(", ")}` });
+    }
+
+    const backup = parseBackup(decodeUpload(req.body), format, { scoreFormat });
+    const { matched, unmatched, onHold } = await matchEntries(backup.entries);
+    const report = importEntries(req.user.id, matched, { strategy, dryRun });
+
+    res.json({
+      success: true,
+      format: backup.format,
+      strategy,
+      dryRun,
+      total: backup.entries.length,
+      ...report,
+      unmatched,
+      warnings: onHold
+        ? [`${onHold} on-hold entries were imported as reading/watching`]
+        : []
+    });
+
+  } catch (err) {
+    sendLibraryError(res, err, "Failed to import list");
+  }
+});
+
+/* ===============================
+   EXPORT
+   ?format=mal&type=anime|manga - MAL-compatible XML, one type per file
+   ?format=csv[&type=...]       - every entry as CSV
+================================ */
+
+router.get("/export", (req, res) => {
+  const format = req.query.format || "csv";
+  const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+  if (type && !MEDIA_TYPES.includes(type)) {
+    return res.status(400).json({ error: "type must be manga or anime" });
+  }
+  if (format === "mal" && !type) {
+    return res.status(400).json({ error: "MAL exports need type=anime or type=manga" });
+  }
+
+  const entries = listEntries(req.user.id, { type });
+  const name = `manganext-${req.user.username}-${type ? type.toLowerCase() : "library"}`;
+
+  if (format === "mal") {
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.xml"`);
+    return res.send(toMalXml(entries, type, req.user.username));
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+  res.send(toCsv(entries));
+});
+
+/* ===============================
+   SINGLE ENTRY
+   POST creates or replaces fields, PATCH only updates an
+   existing entry. Fields: status, progress, score (1-10), notes.
+================================ */
+
+router.get("/:mediaId", (req, res) => {
+  const id = parseMediaId(req.params.mediaId);
+  if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+  const entry = getEntry(req.user.id, id);
+  if (!entry) return res.status(404).json({ error: "Not in library" });
+
+  res.json({ entry });
+});
+
+router.post("/:mediaId", async (req, res) => {
+  try {
+    const id = parseMediaId(req.params.mediaId);
+    if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+    const media = await getMedia(id);
+    if (!media) return res.status(404).json({ error: "Media not found" });
+
+    const existed = Boolean(getEntry(req.user.id, id));
+    const entry = saveEntry(req.user.id, media, pickChanges(req.body));
+
+    res.status(existed ? 200 : 201).json({ success: true, entry });
+
+  } catch (err) {
+    sendLibraryError(res, err, "Failed to save library entry");
+  }
+});
+
+router.patch("/:mediaId", async (req, res) => {
+  try {
+    const id = parseMediaId(req.params.mediaId);
+    if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+    if (!getEntry(req.user.id, id)) {
+      return res.status(404).json({ error: "Not in library" });
+    }
+
+    const media = await getMedia(id);
+    if (!media) return res.status(404).json({ error: "Media not found" });
+
+    const entry = saveEntry(req.user.id, media, pickChanges(req.body));
+    res.json({ success: true, entry });
+
+  } catch (err) {
+    sendLibraryError(res, err, "Failed to update library entry");
+  }
+});
+
+router.delete("/:mediaId", (req, res) => {
+  const id = parseMediaId(req.params.mediaId);
+  if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+  if (!removeEntry(req.user.id, id)) {
+    return res.status(404).json({ error: "Not in library" });
+  }
+
+  res.json({ success: true });
+});
+
+export default router;
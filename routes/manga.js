@@ -1,34 +1,31 @@
 import express from "express";
-import axios from "axios";
+import { anilistQuery } from "../lib/anilist.js";
+import { createCache } from "../lib/cache.js";
+import { sendCached } from "../lib/http.js";
+import { mangadexGet } from "../lib/mangadex.js";
+import { resolveSlug } from "../lib/media.js";
+import { getChapterRelease } from "../lib/chapterRelease.js";
+import { getChapterAdaptation } from "../lib/continuations.js";
+import { ratingSummary, seriesRatingSummary } from "../lib/ratings.js";
+import { threadKey } from "../lib/comments/threads.js";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
 const router = express.Router();
-const ANILIST_URL = "https://graphql.anilist.co";
 
 const genAI = process.env.GOOGLE_AI_API_KEY
   ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY)
   : null;
 
 /* ===============================
-   SIMPLE CACHE
+   CACHE
 ================================ */
 
-const cache = new Map();
-const CACHE_DURATION = 1000 * 60 * 20; // 20 minutes
-
-function getCache(key) {
-  const data = cache.get(key);
-  if (!data) return null;
-  if (Date.now() - data.timestamp > CACHE_DURATION) {
-    cache.delete(key);
-    return null;
-  }
-  return data.value;
-}
-
-function setCache(key, value) {
-  cache.set(key, { value, timestamp: Date.now() });
-}
+const cache = createCache("manga", {
+  ttl: 1000 * 60 * 20, // 20 minutes
+  staleWhileRevalidate: 1000 * 60 * 60,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 500
+});
 
 /* ===============================
    HELPERS
@@ -38,12 +35,30 @@ function cleanSlug(slug) {
   return slug.replace(/[^a-z0-9-]/gi, "");
 }
 
-async function safeAniListQuery(query, variables = {}) {
-  return axios.post(
-    ANILIST_URL,
-    { query, variables },
-    { timeout: 10000 }
-  );
+// MangaDex fetch (safe + timeout protected)
+async function findMangaDexChapter(title, chapterNum) {
+  try {
+    const mdSearch = await mangadexGet("/manga", { title, limit: 1 }, { timeout: 8000 });
+
+    if (mdSearch.data.length === 0) return null;
+
+    const mangaId = mdSearch.data[0].id;
+
+    const chapterRes = await mangadexGet(
+      `/manga/${mangaId}/feed`,
+      {
+        chapter: chapterNum,
+        translatedLanguage: ["en"],
+        limit: 1
+      },
+      { timeout: 8000 }
+    );
+
+    return chapterRes.data[0] || null;
+  } catch {
+    // MangaDex failure shouldn't break page
+    return null;
+  }
 }
 
 /* ===============================
@@ -53,11 +68,6 @@ async function safeAniListQuery(query, variables = {}) {
 router.get("/:slug", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const cacheKey = `manga-${slug}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const query = `
@@ -77,36 +87,42 @@ router.get("/:slug", async (req, res) => {
       }
     `;
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const manga = response.data.data.Media;
+    const entry = await cache.wrap(`manga-${slug}`, async () => {
+      const data = await anilistQuery(query, { search: searchTerm });
+      const manga = data.Media;
+      if (!manga) return null;
 
-    if (!manga) {
-      return res.status(404).json({ error: "Manga not found" });
-    }
+      let uniqueDescription = manga.description;
 
-    let uniqueDescription = manga.description;
+      // Generate AI summary once
+      if (genAI) {
+        try {
+          const model = genAI.getGenerativeModel({ model: "gemini-pro" });
+          const prompt = `Write a short 120-word engaging SEO summary for the manga "${manga.title.romaji}".`;
 
-    // Generate AI summary once
-    if (genAI) {
-      try {
-        const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-        const prompt = `Write a short 120-word engaging SEO summary for the manga "${manga.title.romaji}".`;
-
-        const result = await model.generateContent(prompt);
-        uniqueDescription = result.response.text();
-      } catch {
-        // fail silently
+          const result = await model.generateContent(prompt);
+          uniqueDescription = result.response.text();
+        } catch {
+          // fail silently
+        }
       }
-    }
 
-    const finalData = {
-      ...manga,
-      uniqueDescription,
-      slug
-    };
+      return {
+        ...manga,
+        uniqueDescription,
+        slug
+      };
+    });
+
+    if (!entry.value) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
 
-    setCache(cacheKey, finalData);
-    res.json(finalData);
+    // Community ratings are live; only the AniList part is cached
+    sendCached(res, {
+      ...entry,
+      value: { ...entry.value, community: seriesRatingSummary("manga", slug) }
+    }, { computed: true });
 
   } catch (error) {
     console.error("Manga fetch error:", error.message);
@@ -122,11 +138,6 @@ router.get("/:slug/chapter/:number", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
     const chapterNum = parseInt(req.params.number);
-    const cacheKey = `manga-${slug}-ch-${chapterNum}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const query = `
@@ -139,58 +150,38 @@ router.get("/:slug/chapter/:number", async (req, res) => {
       }
     `;
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const manga = response.data.data.Media;
-
-    let chapterData = null;
+    const entry = await cache.wrap(`manga-${slug}-ch-${chapterNum}`, async () => {
+      const data = await anilistQuery(query, { search: searchTerm });
+      const manga = data.Media;
 
-    // MangaDex fetch (safe + timeout protected)
-    try {
-      const mdSearch = await axios.get(
-        "https://api.mangadex.org/manga",
-        {
-          params: { title: manga.title.english || manga.title.romaji, limit: 1 },
-          timeout: 8000
-        }
+      const chapterData = await findMangaDexChapter(
+        manga.title.english || manga.title.romaji,
+        chapterNum
       );
 
-      if (mdSearch.data.data.length > 0) {
-        const mangaId = mdSearch.data.data[0].id;
-
-        const chapterRes = await axios.get(
-          `https://api.mangadex.org/manga/${mangaId}/feed`,
-          {
-            params: {
-              chapter: chapterNum,
-              translatedLanguage: ["en"],
-              limit: 1
-            },
-            timeout: 8000
-          }
-        );
-
-        if (chapterRes.data.data.length > 0) {
-          chapterData = chapterRes.data.data[0];
+      return {
+        manga,
+        chapter: {
+          number: chapterNum,
+          title: chapterData?.attributes?.title || `Chapter ${chapterNum}`,
+          pages: chapterData?.attributes?.pages || 0,
+          publishAt: chapterData?.attributes?.publishAt,
+          chapterId: chapterData?.id,
+          slug
         }
-      }
-    } catch {
-      // MangaDex failure shouldn't break page
-    }
+      };
+    });
 
-    const result = {
-      manga,
-      chapter: {
-        number: chapterNum,
-        title: chapterData?.attributes?.title || `Chapter ${chapterNum}`,
-        pages: chapterData?.attributes?.pages || 0,
-        publishAt: chapterData?.attributes?.publishAt,
-        chapterId: chapterData?.id,
-        slug
+    sendCached(res, {
+      ...entry,
+      value: {
+        ...entry.value,
+        community: {
+          chapter: ratingSummary(threadKey(slug, chapterNum)),
+          series: seriesRatingSummary("manga", slug)
+        }
       }
-    };
-
-    setCache(cacheKey, result);
-    res.json(result);
+    }, { computed: true });
 
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch chapter details" });
@@ -204,11 +195,6 @@ router.get("/:slug/chapter/:number", async (req, res) => {
 router.get("/:slug/similar", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const cacheKey = `similar-manga-${slug}`;
-
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
     const searchTerm = slug.replace(/-/g, " ");
 
     const originalQuery = `
@@ -220,13 +206,6 @@ router.get("/:slug/similar", async (req, res) => {
       }
     `;
 
-    const originalRes = await safeAniListQuery(originalQuery, { search: searchTerm });
-    const original = originalRes.data.data.Media;
-
-    if (!original) {
-      return res.status(404).json({ error: "Manga not found" });
-    }
-
     const similarQuery = `
       query ($genres: [String], $excludeId: Int) {
         Page(perPage: 15) {
@@ -240,18 +219,27 @@ router.get("/:slug/similar", async (req, res) => {
       }
     `;
 
-    const similarRes = await safeAniListQuery(similarQuery, {
-      genres: original.genres.slice(0, 3),
-      excludeId: original.id
+    const entry = await cache.wrap(`similar-manga-${slug}`, async () => {
+      const originalRes = await anilistQuery(originalQuery, { search: searchTerm });
+      const original = originalRes.Media;
+      if (!original) return null;
+
+      const similarRes = await anilistQuery(similarQuery, {
+        genres: original.genres.slice(0, 3),
+        excludeId: original.id
+      });
+
+      return {
+        similar: similarRes.Page.media,
+        slug
+      };
     });
 
-    const result = {
-      similar: similarRes.data.data.Page.media,
-      slug
-    };
+    if (!entry.value) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
 
-    setCache(cacheKey, result);
-    res.json(result);
+    sendCached(res, entry);
 
   } catch {
     res.status(500).json({ error: "Failed to fetch similar manga" });
@@ -260,45 +248,71 @@ router.get("/:slug/similar", async (req, res) => {
 
 /* ===============================
    CHAPTER RELEASE ESTIMATE
+   Released chapters, or a predicted date window with a confidence
+   worked out from MangaDex publish history (see lib/chapterRelease.js).
 ================================ */
 
 router.get("/:slug/chapter/:number/release", async (req, res) => {
   try {
     const slug = cleanSlug(req.params.slug);
-    const chapterNum = parseInt(req.params.number);
+    const chapterNum = parseFloat(req.params.number);
 
-    const searchTerm = slug.replace(/-/g, " ");
+    if (!(chapterNum > 0)) {
+      return res.status(400).json({ error: "Invalid chapter number" });
+    }
 
-    const query = `
-      query ($search: String) {
-        Media(search: $search, type: MANGA) {
-          title { romaji english }
-          status
-          chapters
-        }
-      }
-    `;
+    const id = await resolveSlug(slug, "MANGA");
+    const entry = id ? await getChapterRelease(id, chapterNum) : { value: null };
 
-    const response = await safeAniListQuery(query, { search: searchTerm });
-    const manga = response.data.data.Media;
+    if (!entry.value) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
 
-    const isReleased = chapterNum <= (manga?.chapters || 0);
+    const { manga, release } = entry.value;
 
-    const result = {
-      chapterNumber: chapterNum,
-      isReleased,
-      manga: {
-        title: manga?.title,
-        status: manga?.status,
-        totalChapters: manga?.chapters
+    sendCached(res, {
+      ...entry,
+      value: {
+        ...release,
+        manga,
+        slug
       }
-    };
-
-    res.json(result);
+    });
 
-  } catch {
+  } catch (err) {
+    console.error("Chapter release error:", err.message);
     res.status(500).json({ error: "Failed to fetch release info" });
   }
 });
 
+/* ===============================
+   CHAPTER ADAPTATION
+   Which anime season and episode adapt a chapter, from ADAPTATION
+   relations and the continuation mappings, or "not_animated".
+================================ */
+
+router.get("/:slug/chapter/:number/anime", async (req, res) => {
+  try {
+    const slug = cleanSlug(req.params.slug);
+    const chapterNum = parseFloat(req.params.number);
+
+    if (!(chapterNum > 0)) {
+      return res.status(400).json({ error: "Invalid chapter number" });
+    }
+
+    const id = await resolveSlug(slug, "MANGA");
+    const adaptation = id && await getChapterAdaptation(id, chapterNum);
+
+    if (!adaptation) {
+      return res.status(404).json({ error: "Manga not found" });
+    }
+
+    res.json({ ...adaptation, slug });
+
+  } catch (err) {
+    console.error("Chapter adaptation error:", err.message);
+    res.status(500).json({ error: "Failed to fetch adaptation info" });
+  }
+});
+
 export default router;
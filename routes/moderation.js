@@ -0,0 +1,413 @@
+import express from "express";
+import { getCommentStore } from "../lib/comments/store.js";
+import { parseSubjectKey, threadKey, threadOf } from "../lib/comments/threads.js";
+import { moderatorOf } from "../lib/comments/tokens.js";
+import { parseChapter } from "../lib/comments/spoilers.js";
+import { publish } from "../lib/comments/live.js";
+import {
+  BAN_TYPES,
+  FILTER_ACTIONS,
+  addBan,
+  addFilter,
+  audit,
+  listBans,
+  listFilters,
+  readAudit,
+  removeBan,
+  removeFilter
+} from "../lib/comments/moderation.js";
+import { hashIdentity } from "../lib/voter.js";
+import {
+  ContinuationError,
+  findCorrection,
+  getMapping,
+  publicCorrection,
+  reviewCorrection,
+  reviewQueue,
+  revertMapping
+} from "../lib/continuations.js";
+
+const router = express.Router();
+
+/* ===============================
+   CONFIG
+================================ */
+
+const store = await getCommentStore();
+
+const QUEUE_STATUSES = ["held", "hidden"];
+const ACTIONS = ["approve", "remove", "ban", "spoiler"];
+const MAX_AUDIT_ENTRIES = 500;
+
+/* ===============================
+   AUTH
+   Every route needs a moderator token (or the admin token)
+   as `Authorization: Bearer <token>`.
+================================ */
+
+router.use((req, res, next) => {
+  const moderator = moderatorOf(req);
+
+  if (!moderator) {
+    return res.status(401).json({ error: "Moderator token required" });
+  }
+
+  req.moderator = moderator;
+  next();
+});
+
+/* ===============================
+   HELPERS
+================================ */
+
+function queueItem(key, comment, reply = null) {
+  const item = reply || comment;
+  const reports = item.reports || [];
+  const spoilerReports = reports.filter(r => r.reason === "spoiler");
+  const reportedChapters = spoilerReports.map(r => r.chapter).filter(ch => ch != null);
+
+  return {
+    kind: reply ? "reply" : "comment",
+    thread: key,
+    subject: threadOf(key, comment),
+    commentId: comment.id,
+    replyId: reply?.id || null,
+    username: item.username,
+    text: item.text,
+    timestamp: item.timestamp,
+    status: item.status,
+    hiddenAt: item.hiddenAt || null,
+    reportCount: reports.length,
+    reports: reports.map(({ reason, details, chapter, at }) => ({ reason, details, chapter, at })),
+    spoilsUpTo: item.spoilsUpTo ?? null,
+    // Spoiler reports against a post that never flagged itself
+    unflaggedSpoiler: spoilerReports.length > 0 && item.spoilsUpTo == null && !item.segments,
+    reportedSpoilerChapter: reportedChapters.length ? Math.max(...reportedChapters) : null
+  };
+}
+
+/* ===============================
+   QUEUE
+   ?status=held|hidden (default both)
+================================ */
+
+router.get("/queue", async (req, res) => {
+  try {
+    const statuses = req.query.status ? [req.query.status] : QUEUE_STATUSES;
+
+    if (!statuses.every(s => QUEUE_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be one of ${QUEUE_STATUSES.join(", ")}` });
+    }
+
+    const items = [];
+
+    for (const key of await store.listThreadKeys()) {
+      for (const comment of await store.list(key)) {
+        if (statuses.includes(comment.status)) {
+          items.push(queueItem(key, comment));
+        }
+
+        for (const reply of comment.replies || []) {
+          if (statuses.includes(reply.status)) {
+            items.push(queueItem(key, comment, reply));
+          }
+        }
+      }
+    }
+
+    // Most reported first, then longest waiting
+    items.sort((a, b) =>
+      b.reportCount - a.reportCount ||
+      String(a.timestamp).localeCompare(String(b.timestamp))
+    );
+
+    res.json({ items, total: items.length });
+
+  } catch (err) {
+    console.error("Moderation queue error:", err.message);
+    res.status(500).json({ error: "Failed to fetch moderation queue" });
+  }
+});
+
+/* ===============================
+   ACTIONS
+   approve: make visible again and clear reports
+   remove:  delete the comment or reply
+   ban:     { by: "ip"|"username", reason, days, remove = true }
+   spoiler: { chapter } flag as spoiling up to `chapter` and make
+            visible again (defaults to the highest reported chapter)
+   Threads are addressed by the `thread` key from the queue; the
+   /comments/:mangaSlug/:chapterNumber form covers manga chapters.
+================================ */
+
+async function moderate(req, res) {
+  const { mangaSlug, chapterNumber, commentId, replyId, action } = req.params;
+
+  if (!ACTIONS.includes(action)) {
+    return res.status(404).json({ error: "Unknown moderation action" });
+  }
+
+  const key = req.params.key ?? threadKey(mangaSlug, chapterNumber);
+  const comment = await store.get(key, commentId);
+  const item = replyId ? comment?.replies.find(r => r.id === replyId) : comment;
+
+  if (!item) {
+    return res.status(404).json({ error: replyId ? "Reply not found" : "Comment not found" });
+  }
+
+  const target = { thread: key, commentId, replyId: replyId || null, username: item.username };
+  let ban = null;
+  let remove = action === "remove";
+
+  if (action === "spoiler") {
+    const reported = (item.reports || []).map(r => r.chapter).filter(ch => ch != null);
+    const chapter = parseChapter(req.body?.chapter) ??
+      (reported.length ? Math.max(...reported) : parseChapter(parseSubjectKey(key)?.number));
+
+    if (chapter === null) {
+      return res.status(400).json({ error: "chapter is required" });
+    }
+
+    item.spoilsUpTo = chapter;
+  }
+
+  if (action === "ban") {
+    const by = req.body?.by || "ip";
+
+    if (!BAN_TYPES.includes(by)) {
+      return res.status(400).json({ error: `by must be one of ${BAN_TYPES.join(", ")}` });
+    }
+
+    const value = by === "ip" ? item.authorHash : item.username;
+
+    if (!value) {
+      return res.status(400).json({ error: "No IP hash recorded for this post; ban by username" });
+    }
+
+    ban = addBan({
+      type: by,
+      value,
+      reason: String(req.body?.reason || ""),
+      days: Number(req.body?.days) || null,
+      moderator: req.moderator
+    });
+    remove = req.body?.remove !== false;
+  }
+
+  if (action === "approve" || action === "spoiler") {
+    item.status = "visible";
+    item.reports = [];
+    item.approvedAt = new Date().toISOString();
+    item.approvedBy = req.moderator;
+    delete item.hiddenAt;
+  }
+
+  if (remove && !replyId) {
+    await store.remove(key, commentId);
+  } else {
+    if (remove) comment.replies = comment.replies.filter(r => r.id !== replyId);
+    await store.update(key, comment);
+  }
+
+  if (remove) {
+    publish(key, "delete", () => ({ commentId, replyId: replyId || null }));
+  }
+
+  await audit(req.moderator, action, target, {
+    ...(ban && { banId: ban.id, banType: ban.type }),
+    ...(remove && { removed: true }),
+    ...(action === "spoiler" && { spoilsUpTo: item.spoilsUpTo }),
+    text: item.text
+  });
+
+  res.json({ success: true, action, removed: remove, ban });
+}
+
+router.post("/threads/:key/comments/:commentId/:action", async (req, res) => {
+  try {
+    await moderate(req, res);
+  } catch (err) {
+    console.error("Moderation action error:", err.message);
+    res.status(500).json({ error: "Failed to moderate comment" });
+  }
+});
+
+router.post("/threads/:key/comments/:commentId/replies/:replyId/:action", async (req, res) => {
+  try {
+    await moderate(req, res);
+  } catch (err) {
+    console.error("Moderation action error:", err.message);
+    res.status(500).json({ error: "Failed to moderate reply" });
+  }
+});
+
+router.post("/comments/:mangaSlug/:chapterNumber/:commentId/:action", async (req, res) => {
+  try {
+    await moderate(req, res);
+  } catch (err) {
+    console.error("Moderation action error:", err.message);
+    res.status(500).json({ error: "Failed to moderate comment" });
+  }
+});
+
+router.post("/comments/:mangaSlug/:chapterNumber/:commentId/replies/:replyId/:action", async (req, res) => {
+  try {
+    await moderate(req, res);
+  } catch (err) {
+    console.error("Moderation action error:", err.message);
+    res.status(500).json({ error: "Failed to moderate reply" });
+  }
+});
+
+/* ===============================
+   WORD FILTERS
+   { pattern: "word" | "prefix*", action: "hold"|"reject" }
+================================ */
+
+router.get("/filters", (req, res) => {
+  res.json({ filters: listFilters() });
+});
+
+router.post("/filters", async (req, res) => {
+  const { pattern, action } = req.body || {};
+
+  if (!pattern || typeof pattern !== "string" || !pattern.replace("*", "").trim()) {
+    return res.status(400).json({ error: "pattern is required" });
+  }
+
+  if (!FILTER_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${FILTER_ACTIONS.join(", ")}` });
+  }
+
+  const filter = addFilter(pattern, action);
+  await audit(req.moderator, "add-filter", { filterId: filter.id }, { pattern: filter.pattern, filterAction: action });
+
+  res.json({ success: true, filter });
+});
+
+router.delete("/filters/:id", async (req, res) => {
+  const filter = removeFilter(req.params.id);
+
+  if (!filter) {
+    return res.status(404).json({ error: "Filter not found" });
+  }
+
+  await audit(req.moderator, "remove-filter", { filterId: filter.id }, { pattern: filter.pattern });
+  res.json({ success: true });
+});
+
+/* ===============================
+   BANS
+   Direct bans take a raw IP (hashed before storing) or a username.
+================================ */
+
+router.get("/bans", (req, res) => {
+  res.json({ bans: listBans() });
+});
+
+router.post("/bans", async (req, res) => {
+  const { type, value, reason, days } = req.body || {};
+
+  if (!BAN_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${BAN_TYPES.join(", ")}` });
+  }
+
+  if (!value || typeof value !== "string") {
+    return res.status(400).json({ error: "value is required" });
+  }
+
+  const ban = addBan({
+    type,
+    value: type === "ip" ? hashIdentity(value.trim()) : value.trim(),
+    reason: String(reason || ""),
+    days: Number(days) || null,
+    moderator: req.moderator
+  });
+
+  await audit(req.moderator, "ban", { banId: ban.id }, { banType: type });
+  res.json({ success: true, ban });
+});
+
+router.delete("/bans/:id", async (req, res) => {
+  const ban = removeBan(req.params.id);
+
+  if (!ban) {
+    return res.status(404).json({ error: "Ban not found" });
+  }
+
+  await audit(req.moderator, "unban", { banId: ban.id }, { banType: ban.type });
+  res.json({ success: true });
+});
+
+/* ===============================
+   CONTINUATION CORRECTIONS
+   Community corrections that would replace a curated anime → manga
+   mapping wait here (status "review") once they have the votes.
+   Revert restores an anime's previous mapping.
+================================ */
+
+function sendContinuationError(res, err, fallback) {
+  if (err instanceof ContinuationError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+router.get("/continuations", (req, res) => {
+  res.json({
+    corrections: reviewQueue().map(correction => ({
+      ...publicCorrection(correction),
+      current: getMapping(correction.animeId)
+    }))
+  });
+});
+
+router.post("/continuations/:id/:action(approve|reject)", async (req, res) => {
+  try {
+    const correction = findCorrection(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({ error: "Correction not found" });
+    }
+
+    const approve = req.params.action === "approve";
+    reviewCorrection(correction, approve, req.moderator);
+    await audit(req.moderator, `${req.params.action}-continuation`, { correctionId: correction.id, animeId: correction.animeId });
+
+    res.json({ success: true, correction: publicCorrection(correction) });
+
+  } catch (err) {
+    sendContinuationError(res, err, "Failed to review correction");
+  }
+});
+
+router.post("/continuations/anime/:animeId/revert", async (req, res) => {
+  try {
+    const animeId = parseInt(req.params.animeId);
+    const mapping = revertMapping(animeId);
+    await audit(req.moderator, "revert-continuation", { animeId }, { restored: mapping?.source || null });
+
+    res.json({ success: true, mapping });
+
+  } catch (err) {
+    sendContinuationError(res, err, "Failed to revert mapping");
+  }
+});
+
+/* ===============================
+   AUDIT LOG
+================================ */
+
+router.get("/audit", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_AUDIT_ENTRIES);
+    res.json({ entries: await readAudit(limit) });
+  } catch (err) {
+    console.error("Moderation audit error:", err.message);
+    res.status(500).json({ error: "Failed to read audit log" });
+  }
+});
+
+export default router;
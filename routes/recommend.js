@@ -1,5 +1,6 @@
 import express from "express";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createCache } from "../lib/cache.js";
 
 const router = express.Router();
 
@@ -11,22 +12,10 @@ const genAI = process.env.GEMINI_API_KEY
    SIMPLE CACHE
 ================================ */
 
-const cache = new Map();
-const CACHE_DURATION = 1000 * 60 * 60; // 1 hour
-
-function getCache(key) {
-  const data = cache.get(key);
-  if (!data) return null;
-  if (Date.now() - data.timestamp > CACHE_DURATION) {
-    cache.delete(key);
-    return null;
-  }
-  return data.value;
-}
-
-function setCache(key, value) {
-  cache.set(key, { value, timestamp: Date.now() });
-}
+const cache = createCache("recommend", {
+  ttl: 1000 * 60 * 60, // 1 hour
+  maxEntries: 500
+});
 
 /* ===============================
    SIMPLE RATE LIMIT (FREE SAFE)
@@ -57,11 +46,11 @@ router.post("/", async (req, res) => {
       : "Unknown";
 
     const cacheKey = `rec-${cleanTitle}-${type || ""}`;
-    const cached = getCache(cacheKey);
+    const cached = cache.get(cacheKey);
     if (cached) {
       return res.json({
         source: "cache",
-        recommendation: cached
+        recommendation: cached.value
       });
     }
 
@@ -116,7 +105,7 @@ Rules:
 
     const text = result.response.text().substring(0, 500);
 
-    setCache(cacheKey, text);
+    cache.set(cacheKey, text);
 
     res.json({
       source: "ai",
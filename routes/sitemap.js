@@ -1,28 +1,28 @@
 import express from "express";
-import axios from "axios";
+import { anilistQuery } from "../lib/anilist.js";
+import { createCache } from "../lib/cache.js";
+import { markStale } from "../lib/http.js";
 
 const router = express.Router();
 
-const ANILIST_URL = "https://graphql.anilist.co";
 const BASE_URL = "https://manganext-backend.onrender.com";
 
-// Simple in-memory cache (safe for free plan)
-let sitemapCache = null;
-let lastGenerated = 0;
-const CACHE_DURATION = 1000 * 60 * 30; // 30 minutes
-
-router.get("/sitemap.xml", async (req, res) => {
-  try {
+// Bounded cache (safe for free plan)
+const cache = createCache("sitemap", {
+  ttl: 1000 * 60 * 30, // 30 minutes
+  staleWhileRevalidate: 1000 * 60 * 60 * 6,
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 1
+});
 
-    // Serve cached sitemap if still valid
-    if (sitemapCache && Date.now() - lastGenerated < CACHE_DURATION) {
-      res.set("Content-Type", "application/xml");
-      return res.send(sitemapCache);
-    }
+/* ===============================
+   BUILD
+================================ */
 
-    const now = new Date().toISOString();
+async function buildSitemap() {
+  const now = new Date().toISOString();
 
-    let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+  let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 
 <url>
@@ -33,28 +33,28 @@ router.get("/sitemap.xml", async (req, res) => {
 </url>
 `;
 
-    /* ===============================
-       FETCH TOP 50 MANGA ONLY
-    =============================== */
-
-    const mangaQuery = `
-      query {
-        Page(page: 1, perPage: 50) {
-          media(type: MANGA, sort: POPULARITY_DESC) {
-            title { romaji english }
-            chapters
-          }
+  /* ===============================
+     FETCH TOP 50 MANGA ONLY
+  =============================== */
+
+  const mangaQuery = `
+    query {
+      Page(page: 1, perPage: 50) {
+        media(type: MANGA, sort: POPULARITY_DESC) {
+          title { romaji english }
+          chapters
         }
       }
-    `;
+    }
+  `;
 
-    const mangaRes = await axios.post(ANILIST_URL, { query: mangaQuery });
-    const mangaList = mangaRes.data.data.Page.media;
+  const mangaRes = await anilistQuery(mangaQuery);
+  const mangaList = mangaRes.Page.media;
 
-    for (const manga of mangaList) {
-      const slug = createSlug(manga.title.english || manga.title.romaji);
+  for (const manga of mangaList) {
+    const slug = createSlug(manga.title.english || manga.title.romaji);
 
-      sitemap += `
+    sitemap += `
 <url>
   <loc>${BASE_URL}/manga/${slug}</loc>
   <changefreq>daily</changefreq>
@@ -62,42 +62,42 @@ router.get("/sitemap.xml", async (req, res) => {
 </url>
 `;
 
-      if (manga.chapters) {
-        const maxCh = Math.min(manga.chapters, 10); // Only last 10
-        for (let i = maxCh; i >= 1; i--) {
-          sitemap += `
+    if (manga.chapters) {
+      const maxCh = Math.min(manga.chapters, 10); // Only last 10
+      for (let i = maxCh; i >= 1; i--) {
+        sitemap += `
 <url>
   <loc>${BASE_URL}/manga/${slug}/chapter-${i}</loc>
   <changefreq>weekly</changefreq>
   <priority>0.6</priority>
 </url>
 `;
-        }
       }
     }
+  }
+
+  /* ===============================
+     FETCH TOP 50 ANIME ONLY
+  =============================== */
 
-    /* ===============================
-       FETCH TOP 50 ANIME ONLY
-    =============================== */
-
-    const animeQuery = `
-      query {
-        Page(page: 1, perPage: 50) {
-          media(type: ANIME, sort: POPULARITY_DESC) {
-            title { romaji english }
-            episodes
-          }
+  const animeQuery = `
+    query {
+      Page(page: 1, perPage: 50) {
+        media(type: ANIME, sort: POPULARITY_DESC) {
+          title { romaji english }
+          episodes
         }
       }
-    `;
+    }
+  `;
 
-    const animeRes = await axios.post(ANILIST_URL, { query: animeQuery });
-    const animeList = animeRes.data.data.Page.media;
+  const animeRes = await anilistQuery(animeQuery);
+  const animeList = animeRes.Page.media;
 
-    for (const anime of animeList) {
-      const slug = createSlug(anime.title.english || anime.title.romaji);
+  for (const anime of animeList) {
+    const slug = createSlug(anime.title.english || anime.title.romaji);
 
-      sitemap += `
+    sitemap += `
 <url>
   <loc>${BASE_URL}/anime/${slug}</loc>
   <changefreq>daily</changefreq>
@@ -105,49 +105,53 @@ router.get("/sitemap.xml", async (req, res) => {
 </url>
 `;
 
-      if (anime.episodes) {
-        const maxEp = Math.min(anime.episodes, 10); // Only last 10
-        for (let i = maxEp; i >= 1; i--) {
-          sitemap += `
+    if (anime.episodes) {
+      const maxEp = Math.min(anime.episodes, 10); // Only last 10
+      for (let i = maxEp; i >= 1; i--) {
+        sitemap += `
 <url>
   <loc>${BASE_URL}/anime/${slug}/episode-${i}</loc>
   <changefreq>weekly</changefreq>
   <priority>0.6</priority>
 </url>
 `;
-        }
       }
     }
+  }
 
-    /* ===============================
-       GENRES (Static)
-    =============================== */
+  /* ===============================
+     GENRES (Static)
+  =============================== */
 
-    const genres = [
-      "action","adventure","comedy","drama",
-      "fantasy","horror","romance","sci-fi",
-      "slice-of-life","sports","thriller"
-    ];
+  const genres = [
+    "action","adventure","comedy","drama",
+    "fantasy","horror","romance","sci-fi",
+    "slice-of-life","sports","thriller"
+  ];
 
-    for (const genre of genres) {
-      sitemap += `
+  for (const genre of genres) {
+    sitemap += `
 <url>
   <loc>${BASE_URL}/genre/${genre}</loc>
   <changefreq>weekly</changefreq>
   <priority>0.7</priority>
 </url>
 `;
-    }
+  }
 
-    sitemap += `
+  sitemap += `
 </urlset>`;
 
-    // Cache it
-    sitemapCache = sitemap;
-    lastGenerated = Date.now();
+  return sitemap;
+}
+
+router.get("/sitemap.xml", async (req, res) => {
+  try {
+    const entry = await cache.wrap("sitemap.xml", buildSitemap);
 
+    if (entry.stale) markStale(res);
     res.set("Content-Type", "application/xml");
-    res.send(sitemap);
+    res.send(entry.value);
 
   } catch (error) {
     console.error("Sitemap error:", error.message);
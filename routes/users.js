@@ -0,0 +1,168 @@
+import express from "express";
+import {
+  UserError,
+  createCalendarToken,
+  createUser,
+  endSession,
+  getUser,
+  getUserByUsername,
+  publicProfile,
+  revokeCalendarToken,
+  startSession,
+  updateProfile,
+  verifyCredentials
+} from "../lib/users.js";
+import { clearSessionCookie, requireUser, sessionToken, setSessionCookie } from "../lib/auth.js";
+import { SITE_URL } from "../lib/links.js";
+
+const router = express.Router();
+
+/* ===============================
+   CONFIG
+================================ */
+
+// Login/registration attempts per IP
+const attemptTracker = new Map();
+const ATTEMPT_WINDOW = 1000 * 60 * 15; // 15 minutes
+const MAX_ATTEMPTS = 10;
+
+/* ===============================
+   HELPERS
+================================ */
+
+function allowAttempt(ip) {
+  const now = Date.now();
+  const recent = (attemptTracker.get(ip) || []).filter(time => now - time < ATTEMPT_WINDOW);
+
+  if (recent.length >= MAX_ATTEMPTS) {
+    attemptTracker.set(ip, recent);
+    return false;
+  }
+
+  recent.push(now);
+  attemptTracker.set(ip, recent);
+  return true;
+}
+
+function sendUserError(res, err, fallback) {
+  if (err instanceof UserError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+/* ===============================
+   REGISTER / LOGIN / LOGOUT
+================================ */
+
+router.post("/register", async (req, res) => {
+  if (!allowAttempt(req.ip)) {
+    return res.status(429).json({ error: "Too many attempts, try again later" });
+  }
+
+  try {
+    const { username, password, displayName } = req.body || {};
+    const user = await createUser({ username, password, displayName });
+
+    setSessionCookie(res, startSession(user));
+    res.status(201).json({ success: true, user: publicProfile(user) });
+
+  } catch (err) {
+    sendUserError(res, err, "Failed to register");
+  }
+});
+
+router.post("/login", async (req, res) => {
+  if (!allowAttempt(req.ip)) {
+    return res.status(429).json({ error: "Too many attempts, try again later" });
+  }
+
+  try {
+    const { username, password } = req.body || {};
+    const user = await verifyCredentials(username, password);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    setSessionCookie(res, startSession(user));
+    res.json({ success: true, user: publicProfile(user) });
+
+  } catch (err) {
+    sendUserError(res, err, "Failed to log in");
+  }
+});
+
+router.post("/logout", (req, res) => {
+  const token = sessionToken(req);
+  if (token) endSession(token);
+
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+/* ===============================
+   OWN PROFILE
+   PATCH accepts displayName, bio, avatarUrl and
+   newPassword + currentPassword (signs out other sessions).
+================================ */
+
+router.get("/me", requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
+
+router.patch("/me", requireUser, async (req, res) => {
+  try {
+    const user = await updateProfile(getUser(req.user.id), req.body || {});
+
+    // A password change ends every session, this one included
+    if ("newPassword" in (req.body || {})) {
+      setSessionCookie(res, startSession(user));
+    }
+
+    res.json({ success: true, user: publicProfile(user) });
+
+  } catch (err) {
+    sendUserError(res, err, "Failed to update profile");
+  }
+});
+
+/* ===============================
+   CALENDAR FEED
+   Secret .ics URL with the airing times of the anime the user is
+   watching. The URL is only shown when it is created; POST again
+   to replace it, DELETE to turn the feed off.
+================================ */
+
+router.get("/me/calendar", requireUser, (req, res) => {
+  const calendar = getUser(req.user.id).calendar;
+  res.json({ enabled: Boolean(calendar), createdAt: calendar?.createdAt || null });
+});
+
+router.post("/me/calendar", requireUser, (req, res) => {
+  const token = createCalendarToken(getUser(req.user.id));
+  res.status(201).json({ success: true, url: `${SITE_URL}/feeds/watching/${token}.ics` });
+});
+
+router.delete("/me/calendar", requireUser, (req, res) => {
+  revokeCalendarToken(getUser(req.user.id));
+  res.json({ success: true });
+});
+
+/* ===============================
+   PUBLIC PROFILES
+================================ */
+
+router.get("/:username", (req, res) => {
+  const user = getUserByUsername(req.params.username);
+
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  res.json({ user: publicProfile(user) });
+});
+
+export default router;
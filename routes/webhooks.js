@@ -0,0 +1,111 @@
+import express from "express";
+import {
+  WebhookError,
+  createSubscription,
+  getSubscription,
+  listDeliveries,
+  listSubscriptions,
+  publicSubscription,
+  removeSubscription,
+  rotateSecret,
+  sendTestEvent,
+  updateSubscription
+} from "../lib/webhooks.js";
+import { getMedia } from "../lib/media.js";
+import { requireUser } from "../lib/auth.js";
+
+const router = express.Router();
+
+router.use(requireUser);
+
+/* ===============================
+   HELPERS
+================================ */
+
+function sendWebhookError(res, err, fallback) {
+  if (err instanceof WebhookError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+// Loads the caller's subscription into req.subscription
+function ownSubscription(req, res, next) {
+  const sub = getSubscription(req.user.id, req.params.id);
+  if (!sub) return res.status(404).json({ error: "Webhook not found" });
+
+  req.subscription = sub;
+  next();
+}
+
+/* ===============================
+   SUBSCRIPTIONS
+   POST body: { mediaId, url, format: json|discord|slack }
+   The signing secret is only returned on creation and rotation.
+================================ */
+
+router.get("/", (req, res) => {
+  res.json({ webhooks: listSubscriptions(req.user.id).map(publicSubscription) });
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { mediaId, url, format } = req.body || {};
+    const id = parseInt(mediaId);
+    if (!(id > 0)) return res.status(400).json({ error: "mediaId must be an AniList id" });
+
+    const media = await getMedia(id);
+    if (!media) return res.status(404).json({ error: "Media not found" });
+
+    const sub = createSubscription(req.user.id, media, { url, format });
+    res.status(201).json({ success: true, webhook: sub });
+
+  } catch (err) {
+    sendWebhookError(res, err, "Failed to create webhook");
+  }
+});
+
+router.get("/:id", ownSubscription, (req, res) => {
+  res.json({ webhook: publicSubscription(req.subscription) });
+});
+
+router.patch("/:id", ownSubscription, (req, res) => {
+  try {
+    const sub = updateSubscription(req.subscription, req.body || {});
+    res.json({ success: true, webhook: publicSubscription(sub) });
+
+  } catch (err) {
+    sendWebhookError(res, err, "Failed to update webhook");
+  }
+});
+
+router.delete("/:id", ownSubscription, (req, res) => {
+  removeSubscription(req.subscription);
+  res.json({ success: true });
+});
+
+router.post("/:id/rotate-secret", ownSubscription, (req, res) => {
+  const sub = rotateSecret(req.subscription);
+  res.json({ success: true, webhook: sub });
+});
+
+/* ===============================
+   DELIVERIES
+================================ */
+
+router.post("/:id/test", ownSubscription, (req, res) => {
+  if (!req.subscription.active) {
+    return res.status(409).json({ error: "Webhook is disabled" });
+  }
+
+  const delivery = sendTestEvent(req.subscription);
+  res.status(202).json({ success: true, deliveryId: delivery.id });
+});
+
+router.get("/:id/deliveries", ownSubscription, (req, res) => {
+  res.json({ deliveries: listDeliveries(req.subscription.id) });
+});
+
+export default router;
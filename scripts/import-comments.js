@@ -0,0 +1,40 @@
+// First, so DATA_DIR and COMMENTS_STORE are read after .env is loaded
+import "dotenv/config";
+import fs from "fs";
+import { openCommentStore, importThreads, storeLockHolder } from "../lib/comments/store.js";
+
+/* ===============================
+   COMMENT IMPORT
+   Usage: npm run import-comments -- <dump.json>
+   Imports into the store selected by COMMENTS_STORE. The server must
+   be stopped first; the script refuses to run while it holds the
+   store lock.
+================================ */
+
+const file = process.argv[2];
+
+if (!file) {
+  console.error("Usage: npm run import-comments -- <dump.json>");
+  process.exit(1);
+}
+
+const holder = storeLockHolder();
+
+if (holder) {
+  console.error(
+    `The server (pid ${holder}) has the comment store open; stop it before importing. ` +
+    "If it is not running, delete comments.lock in DATA_DIR."
+  );
+  process.exit(1);
+}
+
+const dump = JSON.parse(fs.readFileSync(file, "utf8"));
+const store = await openCommentStore();
+
+const report = await importThreads(store, dump);
+store.close();
+
+console.log(
+  `Imported ${report.imported} comments across ${report.threads} threads ` +
+  `(${report.skipped} skipped)`
+);
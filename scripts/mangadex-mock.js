@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import fs from "fs";
+import express from "express";
+
+/* ===============================
+   MANGADEX STAND-IN SERVER
+   Usage: npm run mangadex-mock -- [fixture.json]
+   Then start the API with MANGADEX_URL=http://localhost:4200.
+
+   Serves the parts of the MangaDex API the backend uses
+   (/manga search and /manga/:id/feed with publishAtSince, order,
+   limit/offset and translatedLanguage). Fixture format:
+     { manga: [{ id, title, anilistId, chapters: [{ chapter, title, publishAt, language }] }] }
+
+   Test controls:
+     POST /mock/manga/:id/chapters  { chapter, title, publishAt } - "release" a chapter
+     POST /mock/rate-limit          { count } - answer the next requests with 429
+     GET  /mock/requests            - requests received so far
+================================ */
+
+const PORT = parseInt(process.env.MANGADEX_MOCK_PORT) || 4200;
+const WEEK = 1000 * 60 * 60 * 24 * 7;
+
+function weeklyChapters(count, lastPublishAt) {
+  return Array.from({ length: count }, (_, i) => ({
+    chapter: String(i + 1),
+    title: `Chapter ${i + 1}`,
+    publishAt: new Date(lastPublishAt - (count - 1 - i) * WEEK).toISOString(),
+    language: "en"
+  }));
+}
+
+function defaultFixture() {
+  const lastWeek = Date.now() - WEEK;
+  return {
+    manga: [
+      { id: "md-one-piece", title: "One Piece", anilistId: 30013, chapters: weeklyChapters(20, lastWeek) },
+      { id: "md-short", title: "Short", anilistId: 5, chapters: weeklyChapters(10, lastWeek - 52 * WEEK) }
+    ]
+  };
+}
+
+const fixture = process.argv[2]
+  ? JSON.parse(fs.readFileSync(process.argv[2], "utf8"))
+  : defaultFixture();
+
+const manga = new Map(fixture.manga.map(item => [item.id, {
+  ...item,
+  chapters: item.chapters.map(ch => ({ id: crypto.randomUUID(), language: "en", ...ch }))
+}]));
+
+const requests = [];
+let rateLimited = 0;
+
+const app = express();
+app.use(express.json());
+
+/* ===============================
+   TEST CONTROLS
+================================ */
+
+app.get("/mock/requests", (req, res) => {
+  res.json(requests);
+});
+
+app.post("/mock/rate-limit", (req, res) => {
+  rateLimited = parseInt(req.body?.count) || 1;
+  res.json({ rateLimited });
+});
+
+app.post("/mock/manga/:id/chapters", (req, res) => {
+  const item = manga.get(req.params.id);
+  if (!item) return res.status(404).json({ error: "Unknown manga" });
+
+  const chapter = {
+    id: crypto.randomUUID(),
+    chapter: String(req.body?.chapter ?? item.chapters.length + 1),
+    title: req.body?.title || null,
+    publishAt: req.body?.publishAt || new Date().toISOString(),
+    language: req.body?.language || "en"
+  };
+
+  item.chapters.push(chapter);
+  res.status(201).json(chapter);
+});
+
+/* ===============================
+   MANGADEX API
+================================ */
+
+app.use((req, res, next) => {
+  requests.push({ method: req.method, path: req.path, query: req.query, at: new Date().toISOString() });
+
+  if (rateLimited > 0) {
+    rateLimited--;
+    res.setHeader("X-RateLimit-Retry-After", String(Math.ceil(Date.now() / 1000) + 1));
+    return res.status(429).json({ result: "error", errors: [{ status: 429, detail: "Rate limited" }] });
+  }
+
+  next();
+});
+
+function toManga(item) {
+  return {
+    id: item.id,
+    type: "manga",
+    attributes: {
+      title: { en: item.title },
+      links: item.anilistId ? { al: String(item.anilistId) } : {}
+    }
+  };
+}
+
+function toChapter(ch) {
+  return {
+    id: ch.id,
+    type: "chapter",
+    attributes: {
+      chapter: ch.chapter,
+      volume: ch.volume ?? null,
+      title: ch.title ?? null,
+      translatedLanguage: ch.language,
+      pages: ch.pages ?? 20,
+      externalUrl: null,
+      publishAt: ch.publishAt
+    }
+  };
+}
+
+app.get("/manga", (req, res) => {
+  const title = String(req.query.title || "").toLowerCase();
+  const limit = parseInt(req.query.limit) || 10;
+  const found = [...manga.values()].filter(item => item.title.toLowerCase().includes(title));
+
+  res.json({ result: "ok", data: found.slice(0, limit).map(toManga), total: found.length });
+});
+
+app.get("/manga/:id/feed", (req, res) => {
+  const item = manga.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ result: "error", errors: [{ status: 404, detail: "Manga not found" }] });
+  }
+
+  const languages = [].concat(req.query.translatedLanguage || []);
+  // MangaDex reads publishAtSince as UTC without a zone suffix
+  const since = req.query.publishAtSince ? Date.parse(`${req.query.publishAtSince}Z`) : null;
+  const includeFuture = req.query.includeFuturePublishAt !== "0";
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+
+  let chapters = item.chapters.filter(ch =>
+    (!languages.length || languages.includes(ch.language)) &&
+    (!req.query.chapter || ch.chapter === String(req.query.chapter)) &&
+    (since === null || Date.parse(ch.publishAt) >= since) &&
+    (includeFuture || Date.parse(ch.publishAt) <= Date.now())
+  );
+
+  const order = req.query.order || {};
+  if (order.publishAt) {
+    const dir = order.publishAt === "desc" ? -1 : 1;
+    chapters = chapters.sort((a, b) => dir * (Date.parse(a.publishAt) - Date.parse(b.publishAt)));
+  } else if (order.chapter) {
+    const dir = order.chapter === "desc" ? -1 : 1;
+    chapters = chapters.sort((a, b) => dir * (parseFloat(a.chapter) - parseFloat(b.chapter)));
+  }
+
+  res.json({
+    result: "ok",
+    data: chapters.slice(offset, offset + limit).map(toChapter),
+    limit,
+    offset,
+    total: chapters.length
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`MangaDex stand-in listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,41 @@
+// First, so DATA_DIR is read after .env is loaded
+import "dotenv/config";
+import fs from "fs";
+import { flushContinuations, seedMappings } from "../lib/continuations.js";
+
+/* ===============================
+   CONTINUATION SEED
+   Usage: npm run seed-continuations -- <mappings.json> [--overwrite]
+   The file is an array of
+     { animeId, mangaId, finalEpisode, lastChapter, lastVolume, note }
+   (AniList ids; lastVolume, mangaId and note are optional).
+   Community mappings are kept unless --overwrite is given.
+   Run it while the server is stopped; the server keeps
+   continuations.json in memory.
+================================ */
+
+const file = process.argv[2];
+
+if (!file) {
+  console.error("Usage: npm run seed-continuations -- <mappings.json> [--overwrite]");
+  process.exit(1);
+}
+
+const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+
+if (!Array.isArray(entries)) {
+  console.error("Seed file must contain an array of mappings");
+  process.exit(1);
+}
+
+const report = seedMappings(entries, { overwrite: process.argv.includes("--overwrite") });
+flushContinuations();
+
+console.log(
+  `Seeded ${report.added} new and ${report.updated} updated mappings ` +
+  `(${report.skipped} community mappings kept, ${report.invalid.length} invalid)`
+);
+
+for (const { index, error } of report.invalid) {
+  console.log(`  entry ${index}: ${error}`);
+}
@@ -1,6 +1,7 @@
+// First, so modules that read process.env at load time see .env
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import helmet from "helmet";
 import compression from "compression";
 
@@ -13,9 +14,29 @@ import recommendRoute from "./routes/recommend.js";
 import sitemapRoute from "./routes/sitemap.js";
 import mangaRoute from "./routes/manga.js";
 import commentsRoute from "./routes/comments.js";
+import moderationRoute from "./routes/moderation.js";
+import usersRoute from "./routes/users.js";
+import libraryRoute from "./routes/library.js";
+import webhooksRoute from "./routes/webhooks.js";
+import feedsRoute from "./routes/feeds.js";
+import continuationsRoute from "./routes/continuations.js";
 import animeRoute from "./routes/anime.js";
-import axios from "axios";
-dotenv.config();
+import { anilistQuery, getAniListStats } from "./lib/anilist.js";
+import { createCache, getCacheStats, flushCaches } from "./lib/cache.js";
+import { getLiveStats } from "./lib/comments/live.js";
+import { getMangaDexStats } from "./lib/mangadex.js";
+import { getTrackerStats, startChapterPolling } from "./lib/chapterTracker.js";
+import { getAiringStats, startAiringPolling } from "./lib/airingTracker.js";
+import { getEpisodeSchedule } from "./lib/schedule.js";
+import { getChapterRelease } from "./lib/chapterRelease.js";
+import { resolveSlug } from "./lib/media.js";
+import { getChapterAdaptation } from "./lib/continuations.js";
+import { episodeUrl, mediaSlug } from "./lib/links.js";
+import { getWebhookStats, startWebhookDeliveries } from "./lib/webhooks.js";
+import { ALLOWED_ORIGINS, attachUser } from "./lib/auth.js";
+import { IMPORT_CONTENT_TYPES } from "./lib/listBackups.js";
+import { onShutdown, runShutdownHooks } from "./lib/shutdown.js";
+import { cacheControl, markStale, STALE_HEADER } from "./lib/http.js";
 
 const app = express();
 
@@ -40,20 +61,25 @@ app.use(compression());
 
 // CORS Configuration
 app.use(cors({
-  origin: ["https://manganext.netlify.app", "http://localhost:3000"],
-  methods: ["GET", "POST"],
+  origin: ALLOWED_ORIGINS,
+  methods: ["GET", "POST", "PATCH", "DELETE"],
+  exposedHeaders: [STALE_HEADER],
   credentials: true
 }));
 
+// List backups are uploaded as raw files (possibly gzipped) and can be
+// far larger than the default JSON body limit. Only types a cross-site
+// form cannot send without a CORS preflight are read.
+app.use("/api/library/import", express.raw({ type: IMPORT_CONTENT_TYPES, limit: "10mb" }));
+
 app.use(express.json()); // CHANGED: Keep JSON parsing before API middleware
 
-app.use((req, res, next) => { // NEW: Add generic ETag and Last-Modified headers for API responses
-  if (req.path.startsWith("/api/")) { // NEW: Scope caching headers to /api namespace
-    res.setHeader("ETag", `"api-${req.method}-${req.path.length}"`); // NEW: Weak ETag based on method and path length
-    res.setHeader("Last-Modified", new Date().toUTCString()); // NEW: Conservative last-modified timestamp
-  }
-  next(); // NEW: Delegate to subsequent handlers
-});
+// Sets req.user from the session cookie (null for guests)
+app.use(attachUser);
+
+// ETags are a hash of the response body; Express answers matching
+// If-None-Match / If-Modified-Since requests with 304 Not Modified.
+app.set("etag", "strong");
 
 /* ==========================================================================
    CONSTANTS
@@ -63,6 +89,18 @@ const SITE_URL = "https://manganext-backend.onrender.com";
 const FRONTEND_URL = "https://manganext.netlify.app";
 const SITE_NAME = "MangaNext";
 
+// AniList data behind the SEO pages. Kept for a week past its TTL so an
+// AniList outage serves the last good page instead of slug-derived "N/A"s.
+const seoCache = createCache("seo", {
+  ttl: 1000 * 60 * 30, // 30 minutes
+  staleIfError: 1000 * 60 * 60 * 24 * 7,
+  maxEntries: 1000
+});
+
+// Longest an SEO page waits on AniList/MangaDex lookups before it is
+// sent with its generic copy instead
+const SEO_LOOKUP_TIMEOUT = 3000;
+
 /* ==========================================================================
    HELPER FUNCTIONS
 ========================================================================== */
@@ -109,6 +147,27 @@ function seoHeaders(res) {
   res.setHeader("Vary", "User-Agent");
 }
 
+/**
+ * ISO date as e.g. "Oct 6, 2024" (UTC).
+ */
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * `promise`, or null once `ms` have passed. The work carries on and
+ * fills its caches, so a page that gave up gets the data next time.
+ */
+function withinTime(promise, ms) {
+  let timer;
+  promise.catch(() => {}); // a late failure has nobody left to tell
+
+  return Promise.race([
+    promise,
+    new Promise(resolve => { timer = setTimeout(resolve, ms, null); })
+  ]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Validate integer parameters (episodes/chapters).
  * Returns 1 if invalid/NaN.
@@ -122,14 +181,26 @@ function safeInt(param) {
    API ROUTES
 ========================================================================== */
 
-app.use("/api/recommend", recommendRoute);
-app.use("/api/anilist", anilistRoute);
-app.use("/api/ai", aiRoute);
-app.use("/api/mangadex", mangadexRoute);
-app.use("/api/home", homeRoute);
-app.use("/api/manga", mangaRoute);
-app.use("/api/anime", animeRoute);
-app.use("/api/comments", commentsRoute);
+// Cache-Control per route: browsers revalidate quickly, the CDN holds
+// responses longer and may serve them while it refetches in the background.
+const upstreamCaching = cacheControl("public, max-age=300, s-maxage=1200, stale-while-revalidate=600");
+
+app.use("/api/recommend", cacheControl("no-store"), recommendRoute);
+app.use("/api/anilist", upstreamCaching, anilistRoute);
+app.use("/api/ai", cacheControl("no-store"), aiRoute);
+app.use("/api/mangadex", upstreamCaching, mangadexRoute);
+app.use("/api/home", cacheControl("public, max-age=600, s-maxage=1200, stale-while-revalidate=1200"), homeRoute);
+app.use("/api/manga", upstreamCaching, mangaRoute);
+app.use("/api/anime", upstreamCaching, animeRoute);
+app.use("/api/comments", cacheControl("no-cache"), commentsRoute);
+app.use("/api/moderation", cacheControl("no-store"), moderationRoute);
+app.use("/api/users", cacheControl("no-store"), usersRoute);
+app.use("/api/library", cacheControl("no-store"), libraryRoute);
+app.use("/api/webhooks", cacheControl("no-store"), webhooksRoute);
+app.use("/api/continuations", cacheControl("no-store"), continuationsRoute);
+
+// RSS/Atom feeds; readers poll often, so let the CDN absorb most of it
+app.use("/feeds", cacheControl("public, max-age=900, s-maxage=1800, stale-while-revalidate=600"), feedsRoute);
 
 /* ==========================================================================
    SEO INTERSTITIAL ROUTES (The "SEO Proxy")
@@ -169,13 +240,13 @@ app.get("/anime/:id/:slug", async (req, res) => {
   }
 `;
 
-    const response = await axios.post(
-      "https://graphql.anilist.co",
-      { query, variables: { id } },
-      { timeout: 8000 }
-    );
+    const entry = await seoCache.wrap(`anime-${id}`, async () => {
+      const data = await anilistQuery(query, { id }, { timeout: 8000 });
+      return data?.Media;
+    });
 
-    animeData = response.data?.data?.Media;
+    animeData = entry.value;
+    if (entry.stale) markStale(res);
   } catch (err) {
     console.log("AniList fetch failed:", err.message);
   }
@@ -253,6 +324,8 @@ app.get("/anime/:id/:slug", async (req, res) => {
 <meta name="robots" content="index, follow">
 <meta name="theme-color" content="#7c3aed">
 <link rel="canonical" href="${escapeAttr(canonicalUrl)}">
+<link rel="alternate" type="application/rss+xml" title="${escapeAttr(title)} episodes" href="${SITE_URL}/feeds/anime/${id}.xml">
+<link rel="alternate" type="text/calendar" title="${escapeAttr(title)} airing schedule" href="${SITE_URL}/feeds/anime/${id}.ics">
 
 <meta property="og:type" content="video.tv_show">
 <meta property="og:url" content="${escapeAttr(canonicalUrl)}">
@@ -391,7 +464,7 @@ app.get("/anime/:id/:slug/episode-:number", (req, res) => {
 // --------------------------------------------------------------------------
 // 3. ANIME EPISODE RELEASE DATE
 // --------------------------------------------------------------------------
-app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
+app.get("/anime/:id/:slug/episode-:number/release-date", async (req, res) => {
   seoHeaders(res);
   const id = parseInt(req.params.id);
   const slug = cleanSlug(req.params.slug);
@@ -400,6 +473,50 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
   const pageUrl = `${SITE_URL}/anime/${id}/${slug}/episode-${ep}/release-date`;
   const targetUrl = `${FRONTEND_URL}/release.html?anime=${slug}&episode=${ep}`;
 
+  // Real air times from AniList; the generic copy below is the fallback
+  let schedule = null;
+
+  if (id > 0) {
+    try {
+      const entry = await withinTime(getEpisodeSchedule(id, ep), SEO_LOOKUP_TIMEOUT);
+      schedule = entry?.value?.episode || null;
+      if (entry?.stale) markStale(res);
+    } catch (err) {
+      console.log("AniList schedule fetch failed:", err.message);
+    }
+  }
+
+  const jst = schedule?.times.find(time => time.abbreviation === "JST");
+
+  let releaseText = `Episode ${ep} of ${title} typically follows a weekly schedule unless delayed by production or broadcast changes.`;
+  if (schedule?.status === "aired") {
+    releaseText = jst
+      ? `Episode ${ep} of ${title} aired on ${jst.display} JST.`
+      : `Episode ${ep} of ${title} has already aired.`;
+  } else if (schedule?.status === "scheduled") {
+    releaseText = `Episode ${ep} of ${title} airs on ${jst.display} JST.`;
+  } else if (schedule?.status === "estimated") {
+    releaseText = `Episode ${ep} of ${title} has no confirmed air date yet. Going by its ${schedule.cadenceDays}-day schedule it is expected around ${jst.display} JST.`;
+  }
+
+  let delayText = "Check official announcements and streaming platforms for delay updates. Most anime episodes follow consistent weekly releases.";
+  if (schedule?.delay.isDelayed) {
+    delayText = `Yes. ${schedule.delay.reason}.`;
+  } else if (schedule?.airingAt && schedule.expectedAt) {
+    delayText = `No. Episode ${ep} is on the show's usual ${schedule.cadenceDays}-day schedule.`;
+  }
+
+  const metaDescription = jst
+    ? `${title} Episode ${ep} release date: ${jst.display} JST${schedule.isEstimate ? " (estimated)" : ""}. Air times by region, countdown and delay updates.`
+    : `Find the official release date and time for ${title} Episode ${ep}. Countdown, streaming info, and delay updates.`;
+
+  const regionTimes = schedule?.times.length
+    ? schedule.times.map(time => `<li>${time.region} (${time.abbreviation}): ${time.display}${schedule.isEstimate ? " (estimated)" : ""}</li>`).join("\n            ")
+    : `<li>Japan (JST)</li>
+            <li>US (PST / EST)</li>
+            <li>UK (GMT)</li>
+            <li>India (IST)</li>`;
+
   const schemaData = [
     {
       "@context": "https://schema.org",
@@ -407,7 +524,7 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
       "headline": `${title} Episode ${ep} Release Date`,
       "mainEntityOfPage": pageUrl,
       "publisher": { "@type": "Organization", "name": SITE_NAME },
-      "description": `Find the official release date and time for ${title} Episode ${ep}. Countdown, streaming info, and delay updates.`
+      "description": metaDescription
     },
     {
       "@context": "https://schema.org",
@@ -418,7 +535,7 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
           "name": `When will ${title} Episode ${ep} be released?`,
           "acceptedAnswer": {
             "@type": "Answer",
-            "text": `Episode ${ep} of ${title} typically follows a weekly schedule unless delayed by production or broadcast changes.`
+            "text": releaseText
           }
         },
         {
@@ -426,13 +543,41 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
           "name": `Is ${title} Episode ${ep} delayed?`,
           "acceptedAnswer": {
             "@type": "Answer",
-            "text": "Check official announcements and streaming platforms for delay updates. Most anime episodes follow consistent weekly releases."
+            "text": delayText
           }
         }
       ]
     }
   ];
 
+  // Only for confirmed air times, never for estimates
+  if (schedule?.airingAt) {
+    const start = new Date(schedule.airingAt);
+
+    schemaData.push({
+      "@context": "https://schema.org",
+      "@type": "BroadcastEvent",
+      "name": `${title} Episode ${ep}`,
+      "startDate": schedule.airingAt,
+      "endDate": new Date(start.getTime() + (schedule.duration || 24) * 60000).toISOString(),
+      "isLiveBroadcast": false,
+      "eventStatus": schedule.delay.isDelayed ? "https://schema.org/EventRescheduled" : "https://schema.org/EventScheduled",
+      ...(schedule.delay.isDelayed && schedule.expectedAt ? { "previousStartDate": schedule.expectedAt } : {}),
+      "url": pageUrl,
+      "workFeatured": {
+        "@type": "TVEpisode",
+        "name": `${title} Episode ${ep}`,
+        "episodeNumber": ep,
+        "url": `${SITE_URL}/anime/${id}/${slug}/episode-${ep}`,
+        "partOfSeries": {
+          "@type": "TVSeries",
+          "name": title,
+          "url": `${SITE_URL}/anime/${id}/${slug}`
+        }
+      }
+    });
+  }
+
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -441,7 +586,7 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${title} Episode ${ep} Release Date & Time | ${SITE_NAME}</title>
     
-    <meta name="description" content="Find the official release date and time for ${title} Episode ${ep}. Countdown, streaming info, and delay updates.">
+    <meta name="description" content="${metaDescription}">
     <meta name="keywords" content="${title} episode ${ep} release date, ${title} ep ${ep} when, ${title} next episode">
     <meta name="robots" content="index, follow">
     <link rel="canonical" href="${pageUrl}">
@@ -470,23 +615,21 @@ app.get("/anime/:id/:slug/episode-:number/release-date", (req, res) => {
 
         <h2>Expected Release Schedule</h2>
         <p>
-            Most seasonal anime episodes air once per week.
-            If no delays occur, Episode ${ep} should release one week after the previous episode.
+            ${schedule && schedule.status !== "unknown" ? releaseText : `Most seasonal anime episodes air once per week.
+            If no delays occur, Episode ${ep} should release one week after the previous episode.`}
         </p>
 
         <h2>Release Time by Region</h2>
         <ul>
-            <li>Japan (JST)</li>
-            <li>US (PST / EST)</li>
-            <li>UK (GMT)</li>
-            <li>India (IST)</li>
+            ${regionTimes}
         </ul>
 
         <h2>Will There Be a Delay?</h2>
         <p>
-            Production delays may occur due to holidays, broadcast changes, or studio schedules.
-            We recommend checking official streaming services for confirmation.
+            ${schedule?.delay.isDelayed || schedule?.airingAt ? delayText : `Production delays may occur due to holidays, broadcast changes, or studio schedules.
+            We recommend checking official streaming services for confirmation.`}
         </p>
+        ${id > 0 ? `<p><a href="${SITE_URL}/feeds/anime/${id}.ics">Add ${title} to your calendar</a> to get every episode's air time, updated when episodes are delayed.</p>` : ""}
 
         <h2>Continue the Story</h2>
         <p>Want to skip the wait? <a href="${SITE_URL}/anime/${slug}/continue-manga">Continue in the manga →</a></p>
@@ -731,13 +874,13 @@ app.get("/manga/:slug", async (req, res) => {
       }
     `;
 
-    const response = await axios.post(
-  "https://graphql.anilist.co",
-  { query, variables: { search: formattedTitle } },
-  { timeout: 8000 }
-);
+    const entry = await seoCache.wrap(`manga-${slug}`, async () => {
+      const data = await anilistQuery(query, { search: formattedTitle }, { timeout: 8000 });
+      return data?.Media;
+    });
 
-    mangaData = response.data?.data?.Media;
+    mangaData = entry.value;
+    if (entry.stale) markStale(res);
   } catch (err) {
     console.log("AniList fetch failed:", err.message);
   }
@@ -813,6 +956,7 @@ app.get("/manga/:slug", async (req, res) => {
 <meta name="keywords" content="${title} manga, read ${title}, ${genres}, ${title} chapters online">
 <meta name="robots" content="index, follow">
 <link rel="canonical" href="${pageUrl}">
+<link rel="alternate" type="application/rss+xml" title="${escapeAttr(title)} chapters" href="${SITE_URL}/feeds/manga/${slug}.xml">
 
 <meta property="og:type" content="book">
 <meta property="og:url" content="${pageUrl}">
@@ -879,7 +1023,7 @@ window.location.replace("${targetUrl}");
 // --------------------------------------------------------------------------
 // 7. MANGA CHAPTER
 // --------------------------------------------------------------------------
-app.get("/manga/:slug/chapter-:number", (req, res) => {
+app.get("/manga/:slug/chapter-:number", async (req, res) => {
   seoHeaders(res);
 
   const slug = cleanSlug(req.params.slug);
@@ -888,17 +1032,81 @@ app.get("/manga/:slug/chapter-:number", (req, res) => {
   const pageUrl = `${SITE_URL}/manga/${slug}/chapter-${ch}`;
   const targetUrl = `${FRONTEND_URL}/manga.html?slug=${slug}&chapter=${ch}`;
 
-  const schemaData = {
-    "@context": "https://schema.org",
-    "@type": "Chapter",
-    "name": `${title} Chapter ${ch}`,
-    "chapterNumber": ch,
-    "isPartOf": {
-      "@type": "Book",
-      "name": title
-    },
-    "url": pageUrl
-  };
+  // Same lookup as /api/manga/:slug/chapter/:number/anime. A cold lookup
+  // can take many AniList requests (every season of every adaptation),
+  // so the page is sent without it rather than keep crawlers waiting.
+  let adaptation = null;
+
+  try {
+    const entry = await withinTime(seoCache.wrap(`adaptation-${slug}-${ch}`, async () => {
+      const id = await resolveSlug(slug, "MANGA");
+      return id ? getChapterAdaptation(id, ch) : null;
+    }), SEO_LOOKUP_TIMEOUT);
+
+    adaptation = entry?.value || null;
+    if (entry?.stale) markStale(res);
+  } catch (err) {
+    console.log("Chapter adaptation lookup failed:", err.message);
+  }
+
+  const match = adaptation?.adaptation;
+  // Plain text; escaped where it goes into the HTML
+  const animeName = anime => anime.title.english || anime.title.romaji;
+  let animeText = null;
+  let episodeLink = null;
+
+  if (match) {
+    const range = `Chapters ${match.firstChapter}–${match.lastChapter}`;
+    animeText = `Yes. ${title} Chapter ${ch} is adapted in ${animeName(match.anime)} (${range}${match.isEstimate ? ", estimated" : ""})${match.episode ? `, around Episode ${match.episode}` : ""}.`;
+    if (match.episode) episodeLink = episodeUrl(match.anime.id, mediaSlug(match.anime.title), match.episode);
+  } else if (adaptation?.status === "airing") {
+    animeText = `Not yet. ${animeName(adaptation.airing)} is still airing and may reach Chapter ${ch}.`;
+  } else if (adaptation?.lastAdaptedChapter) {
+    animeText = `Not yet. The anime has adapted up to about Chapter ${adaptation.lastAdaptedChapter}, so Chapter ${ch} has not been animated.`;
+  } else if (adaptation) {
+    animeText = `Not yet. ${title} has no anime adaptation.`;
+  }
+
+  const schemaData = [
+    {
+      "@context": "https://schema.org",
+      "@type": "Chapter",
+      "name": `${title} Chapter ${ch}`,
+      "chapterNumber": ch,
+      "isPartOf": {
+        "@type": "Book",
+        "name": title
+      },
+      "url": pageUrl
+    }
+  ];
+
+  if (animeText) {
+    schemaData.push({
+      "@context": "https://schema.org",
+      "@type": "FAQPage",
+      "mainEntity": [
+        {
+          "@type": "Question",
+          "name": `Has ${title} Chapter ${ch} been animated?`,
+          "acceptedAnswer": {
+            "@type": "Answer",
+            "text": animeText
+          }
+        },
+        {
+          "@type": "Question",
+          "name": `Which anime episode covers ${title} Chapter ${ch}?`,
+          "acceptedAnswer": {
+            "@type": "Answer",
+            "text": match?.episode
+              ? `Episode ${match.episode} of ${animeName(match.anime)} (estimated from the chapters the season covers).`
+              : `No episode covers Chapter ${ch} yet.`
+          }
+        }
+      ]
+    });
+  }
 
   res.send(`
 <!DOCTYPE html>
@@ -918,7 +1126,7 @@ app.get("/manga/:slug/chapter-:number", (req, res) => {
     <meta property="og:url" content="${pageUrl}">
 
     <script type="application/ld+json">
-    ${JSON.stringify(schemaData)}
+    ${JSON.stringify(schemaData).replace(/</g, "\\u003c")}
     </script>
 
     <noscript>
@@ -928,6 +1136,9 @@ app.get("/manga/:slug/chapter-:number", (req, res) => {
 <body>
     <h1>${title} Chapter ${ch}</h1>
     <p>Loading chapter images...</p>
+    ${animeText ? `<h2>Has Chapter ${ch} Been Animated?</h2>
+    <p>${escapeAttr(animeText)}</p>
+    ${episodeLink ? `<p><a href="${escapeAttr(episodeLink)}">Watch ${escapeAttr(animeName(match.anime))} Episode ${match.episode} →</a></p>` : ""}` : ""}
     <script>
         window.location.replace("${targetUrl}");
     </script>
@@ -939,7 +1150,7 @@ app.get("/manga/:slug/chapter-:number", (req, res) => {
 // --------------------------------------------------------------------------
 // 8. MANGA CHAPTER RELEASE DATE
 // --------------------------------------------------------------------------
-app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
+app.get("/manga/:slug/chapter-:number/release-date", async (req, res) => {
   seoHeaders(res);
 
   const slug = cleanSlug(req.params.slug);
@@ -948,6 +1159,51 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
   const pageUrl = `${SITE_URL}/manga/${slug}/chapter-${ch}/release-date`;
   const targetUrl = `${FRONTEND_URL}/release.html?manga=${slug}&chapter=${ch}`;
 
+  // Same prediction as /api/manga/:slug/chapter/:number/release
+  let release = null;
+
+  try {
+    const entry = await withinTime((async () => {
+      const id = await resolveSlug(slug, "MANGA");
+      return id ? getChapterRelease(id, ch) : null;
+    })(), SEO_LOOKUP_TIMEOUT);
+    release = entry?.value?.release || null;
+    if (entry?.stale) markStale(res);
+  } catch (err) {
+    console.log("Release prediction failed:", err.message);
+  }
+
+  const prediction = release?.prediction;
+  const releaseWindow = prediction && `${formatDate(prediction.windowStart)} and ${formatDate(prediction.windowEnd)}`;
+
+  let releaseText = `Most manga series follow a weekly or monthly release schedule depending on the publisher. Chapter ${ch} will typically follow the standard publishing interval.`;
+  if (release?.status === "released") {
+    releaseText = `${title} Chapter ${ch} is already out${release.releasedAt ? `; it was released on ${formatDate(release.releasedAt)}` : ""}.`;
+  } else if (release?.status === "finished") {
+    releaseText = `${title} has finished, so no Chapter ${ch} is expected.`;
+  } else if (release?.status === "predicted") {
+    const schedule = release.cadence.label === "irregular"
+      ? `${title} releases on an irregular schedule (about every ${release.cadence.days} days on average).`
+      : `${title} releases ${release.cadence.label} (about every ${release.cadence.days} days).`;
+    releaseText = `${schedule} Chapter ${ch} is expected between ${releaseWindow} (${prediction.confidenceLabel} confidence).`;
+  } else if (release?.status === "hiatus") {
+    releaseText = `${title} has not released a chapter in ${release.hiatus.daysSinceLastRelease} days and looks to be on hiatus. If it returns on its ${release.cadence.label === "irregular" ? "usual" : release.cadence.label} schedule, Chapter ${ch} could arrive between ${releaseWindow} (low confidence).`;
+  }
+
+  let breakText = "Release delays may occur due to holidays or publication breaks. Official publisher announcements confirm exact dates.";
+  const lastBreak = release?.hiatus?.breaks[0];
+  if (release?.hiatus?.onHiatus) {
+    breakText = `Yes. The last chapter came out ${release.hiatus.daysSinceLastRelease} days ago, well past the usual ${release.cadence.days}-day gap.`;
+  } else if (release?.hiatus?.isOverdue) {
+    breakText = `Possibly. The next chapter is overdue: the last one came out ${release.hiatus.daysSinceLastRelease} days ago.`;
+  } else if (release?.hiatus) {
+    breakText = `No break so far; chapters are coming out on schedule.${lastBreak ? ` The last break lasted ${lastBreak.days} days, ending ${formatDate(lastBreak.to)}.` : ""}`;
+  }
+
+  const metaDescription = prediction
+    ? `${title} Chapter ${ch} is expected between ${releaseWindow}. Release schedule, countdown and break updates.`
+    : `Get the official release date, countdown, and delay updates for ${title} Chapter ${ch}.`;
+
   const schemaData = [
     {
       "@context": "https://schema.org",
@@ -955,7 +1211,7 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
       "headline": `${title} Chapter ${ch} Release Date`,
       "mainEntityOfPage": pageUrl,
       "publisher": { "@type": "Organization", "name": SITE_NAME },
-      "description": `Get the official release date, countdown, and delay updates for ${title} Chapter ${ch}.`
+      "description": metaDescription
     },
     {
       "@context": "https://schema.org",
@@ -966,7 +1222,7 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
           "name": `When will ${title} Chapter ${ch} be released?`,
           "acceptedAnswer": {
             "@type": "Answer",
-            "text": `Most manga series follow a weekly or monthly release schedule depending on the publisher. Chapter ${ch} will typically follow the standard publishing interval.`
+            "text": releaseText
           }
         },
         {
@@ -974,7 +1230,7 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
           "name": `Is ${title} Chapter ${ch} delayed?`,
           "acceptedAnswer": {
             "@type": "Answer",
-            "text": "Release delays may occur due to holidays or publication breaks. Official publisher announcements confirm exact dates."
+            "text": breakText
           }
         }
       ]
@@ -989,7 +1245,7 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${title} Chapter ${ch} Release Date & Countdown | ${SITE_NAME}</title>
 
-    <meta name="description" content="Get the official release date, countdown, and delay updates for ${title} Chapter ${ch}. Find out when the next chapter drops.">
+    <meta name="description" content="${metaDescription} Find out when the next chapter drops.">
     <meta name="keywords" content="${title} chapter ${ch} release date, ${title} ${ch} when, ${title} next chapter">
     <meta name="robots" content="index, follow">
     <link rel="canonical" href="${pageUrl}">
@@ -1018,10 +1274,10 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
 
         <h2>Expected Release Schedule</h2>
         <p>
-            Weekly manga chapters are usually released once per week,
+            ${release && release.status !== "unknown" ? releaseText : `Weekly manga chapters are usually released once per week,
             while monthly series release once every month.
             If the series follows a weekly pattern,
-            Chapter ${ch} should release approximately seven days after the previous chapter.
+            Chapter ${ch} should release approximately seven days after the previous chapter.`}
         </p>
 
         <h2>Global Release Timing</h2>
@@ -1034,8 +1290,8 @@ app.get("/manga/:slug/chapter-:number/release-date", (req, res) => {
 
         <h2>Will There Be a Break?</h2>
         <p>
-            Occasional publication breaks may happen due to holidays or magazine schedules.
-            Always check official publisher sources for confirmation.
+            ${release?.hiatus ? breakText : `Occasional publication breaks may happen due to holidays or magazine schedules.
+            Always check official publisher sources for confirmation.`}
         </p>
 
         <h2>Read Previous Chapter</h2>
@@ -1143,6 +1399,19 @@ app.get("/best-manga-like/:slug", (req, res) => {
 // Sitemap Integration
 app.use("/", sitemapRoute);
 
+// Diagnostics (AniList queue and rate limit budget, cache hit/miss stats)
+app.get("/api/status", cacheControl("no-store"), (req, res) => {
+  res.json({
+    uptime: Math.round(process.uptime()),
+    anilist: getAniListStats(),
+    cache: getCacheStats(),
+    live: getLiveStats(),
+    mangadex: { ...getMangaDexStats(), tracker: getTrackerStats() },
+    airing: getAiringStats(),
+    webhooks: getWebhookStats()
+  });
+});
+
 // 404 Handler for undefined API routes
 // This catches /api/* errors. For the SEO pages, we generally rely on Express's default behavior
 // or you could add a wildcard handler at the very end.
@@ -1169,6 +1438,23 @@ app.listen(PORT, () => {
   console.log(`================================\n`);
 });
 
+// Checks tracked manga for new MangaDex chapters (MANGADEX_POLL_INTERVAL),
+// subscribed anime for aired episodes (AIRING_POLL_INTERVAL), and sends
+// the resulting webhooks
+startChapterPolling();
+startAiringPolling();
+startWebhookDeliveries();
+
+// Persist disk-backed caches and stores before the host stops or restarts us
+onShutdown(flushCaches);
+
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    runShutdownHooks();
+    process.exit(0);
+  });
+}
+
 // Handling Uncaught Exceptions to prevent server crash
 process.on('uncaughtException', (err) => {
   console.error('UNCAUGHT EXCEPTION! 💥 Shutting down...');